@@ -54,6 +54,23 @@ export function extractDomainsFromContent(content) {
   return domains;
 }
 
+/**
+ * Extract example URLs from file content using JSDoc @example-url tags
+ * @param {string} content - File content
+ * @returns {string[]} Array of URLs
+ */
+export function extractExampleURLsFromContent(content) {
+  const urls = [];
+  const urlRegex = /@example-url\s+(\S+)/g;
+  let match;
+
+  while ((match = urlRegex.exec(content)) !== null) {
+    urls.push(match[1]);
+  }
+
+  return urls;
+}
+
 /**
  * Extract domains from commit message text
  * @param {string} commitMessage - Commit message text
@@ -0,0 +1,251 @@
+/**
+ * Run the userscript namespace and site handlers outside of a browser
+ *
+ * `util/*` imports are resolved by the vitest alias in tests and by
+ * ci/loader.js in command line tools.
+ */
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { fileURLToPath, pathToFileURL } from "url";
+
+import _ from "lodash";
+import { JSDOM } from "jsdom";
+
+import { extractDomainsFromContent } from "./domain.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const SITES_DIR = path.resolve(__dirname, "../src/sites");
+
+const NAMESPACE_TEMPLATE = path.resolve(
+  __dirname,
+  "../templates/userscript/namespace.template.js",
+);
+
+const BLANK_PAGE = "<!doctype html><html><head></head><body></body></html>";
+
+// browser globals the handlers and util modules expect
+const DOM_GLOBALS = [
+  "window",
+  "document",
+  "location",
+  "navigator",
+  "DOMParser",
+  "Event",
+  "FormData",
+  "HTMLElement",
+  "MouseEvent",
+  "MutationObserver",
+  "Node",
+  "NodeList",
+];
+
+const TIMER_NAMES = [
+  "setTimeout",
+  "clearTimeout",
+  "setInterval",
+  "clearInterval",
+];
+
+const namespacePaths = new Map();
+
+/**
+ * Render the userscript namespace template once per process
+ * @param {boolean} supportImage - Whether to build the full edition
+ * @returns {Promise<string>} Path of the rendered namespace module
+ */
+async function getNamespacePath(supportImage) {
+  if (namespacePaths.has(supportImage)) {
+    return namespacePaths.get(supportImage);
+  }
+  const template = await fs.readFile(NAMESPACE_TEMPLATE, "utf-8");
+  const content = _.template(template)({ supportImage });
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "adsbypasser-"));
+  const namespacePath = path.join(dir, "namespace.js");
+  await fs.writeFile(namespacePath, content);
+  namespacePaths.set(supportImage, namespacePath);
+  return namespacePath;
+}
+
+/**
+ * Create a fake userscript manager API backed by memory
+ * @param {Object} [options]
+ * @param {Object} [options.values] - Initial GM storage
+ * @param {Object} [options.ajax] - Responses keyed by `METHOD url`, values are
+ *   response text or functions receiving the request details
+ * @returns {Object} GM_* functions plus the recorded `storage`, `requests`,
+ *   `tabs`, `menu` and `clipboard`
+ */
+export function createGM({ values = {}, ajax = {} } = {}) {
+  const storage = new Map(Object.entries(values));
+  const requests = [];
+  const tabs = [];
+  const menu = [];
+  const clipboard = [];
+
+  return {
+    storage,
+    requests,
+    tabs,
+    menu,
+    clipboard,
+    GM_getValue: (key, default_) =>
+      storage.has(key) ? storage.get(key) : default_,
+    GM_setValue: (key, value) => {
+      storage.set(key, value);
+    },
+    GM_deleteValue: (key) => {
+      storage.delete(key);
+    },
+    GM_openInTab: (url) => {
+      tabs.push(url);
+    },
+    GM_registerMenuCommand: (name, fn) => {
+      menu.push([name, fn]);
+    },
+    GM_setClipboard: (text) => {
+      clipboard.push(text);
+    },
+    GM_getResourceURL: (name) => `resource://${name}`,
+    GM_xmlhttpRequest(details) {
+      requests.push(details);
+      const key = `${details.method} ${details.url}`;
+      const response = ajax[key];
+      setTimeout(() => {
+        if (response === undefined) {
+          details.onerror({ status: 0, responseText: "" });
+          return;
+        }
+        const text =
+          typeof response === "function" ? response(details) : response;
+        details.onload({ status: 200, responseText: text });
+      }, 0);
+    },
+  };
+}
+
+/**
+ * Expose a jsdom window and a fake GM API as globals
+ * @param {JSDOM} dom - Page to expose
+ * @param {Object} gm - Result of createGM()
+ * @returns {Function} Restores the previous globals
+ */
+export function installGlobals(dom, gm) {
+  const saved = new Map();
+  const set = (key, value) => {
+    saved.set(key, Object.getOwnPropertyDescriptor(globalThis, key));
+    Object.defineProperty(globalThis, key, {
+      configurable: true,
+      writable: true,
+      value,
+    });
+  };
+
+  for (const key of DOM_GLOBALS) {
+    set(key, key === "window" ? dom.window : dom.window[key]);
+  }
+  set("unsafeWindow", dom.window);
+  for (const [key, value] of Object.entries(gm)) {
+    if (key.startsWith("GM_")) {
+      set(key, value);
+    }
+  }
+  // handlers call both `setTimeout` and `window.setTimeout`
+  for (const key of TIMER_NAMES) {
+    dom.window[key] = globalThis[key];
+  }
+
+  return () => {
+    for (const [key, descriptor] of saved) {
+      if (descriptor) {
+        Object.defineProperty(globalThis, key, descriptor);
+      } else {
+        delete globalThis[key];
+      }
+    }
+  };
+}
+
+/**
+ * List every site file in the order the userscript build concatenates them
+ * @param {string[]} [directories] - Subdirectories of src/sites
+ * @returns {Promise<string[]>} Paths of the site files
+ */
+export async function listSiteFiles(directories = ["file", "link", "image"]) {
+  const files = [];
+
+  for (const dir of directories) {
+    const entries = await fs.readdir(path.join(SITES_DIR, dir), {
+      withFileTypes: true,
+    });
+    const names = entries
+      .filter((entry) => entry.isFile() && entry.name.endsWith(".js"))
+      .map((entry) => entry.name)
+      .sort();
+    files.push(...names.map((name) => path.join(SITES_DIR, dir, name)));
+  }
+
+  return files;
+}
+
+/**
+ * Evaluate a site file with the given namespace
+ * @param {string} file - Path of the site file
+ * @param {Object} namespace - `{ _, $, withSite }`
+ * @returns {Promise<Object>} The site, `{ id, domains }`
+ */
+export async function loadSite(file, { _, $, withSite }) {
+  const source = await fs.readFile(file, "utf-8");
+  const id = path
+    .relative(SITES_DIR, file)
+    .replace(/\\/g, "/")
+    .replace(/\.js$/, "");
+  const site = { id, domains: extractDomainsFromContent(source) };
+  const fn = new Function("_", "$", source);
+  withSite(site, () => fn(_, $));
+  return site;
+}
+
+/**
+ * Create a page with the userscript namespace loaded, no site is registered
+ * yet
+ *
+ * Modules keep their state, so callers must give every sandbox a fresh
+ * module registry (`vi.resetModules()` in tests, a new process otherwise).
+ * @param {Object} options
+ * @param {string} options.url - URL of the page
+ * @param {string} [options.html] - Content of the page
+ * @param {Object} [options.values] - Initial GM storage
+ * @param {Object} [options.ajax] - Fake responses, see createGM()
+ * @param {boolean} [options.supportImage] - Whether to build the full edition
+ * @returns {Promise<Object>} `{ dom, gm, _, $, dispatcher, close }`
+ */
+export async function createSandbox({
+  url,
+  html = BLANK_PAGE,
+  values,
+  ajax,
+  supportImage = true,
+}) {
+  const dom = new JSDOM(html, { url, pretendToBeVisual: true });
+  const gm = createGM({ values, ajax });
+  const restore = installGlobals(dom, gm);
+  const close = () => {
+    restore();
+    dom.window.close();
+  };
+
+  try {
+    const namespacePath = await getNamespacePath(supportImage);
+    const { _, $ } = await import(
+      /* @vite-ignore */ pathToFileURL(namespacePath).href
+    );
+    const dispatcher = await import("util/dispatcher.js");
+    return { dom, gm, _, $, dispatcher, close };
+  } catch (e) {
+    close();
+    throw e;
+  }
+}
@@ -1,11 +1,12 @@
 import fs from "fs/promises";
+import path from "path";
 
 import _ from "lodash";
 import findup from "findup-sync";
 import gulp from "gulp";
 
 import { extractDomainsFromJSDoc } from "./jsdoc.js";
-import { deduplicateRootDomains } from "./domain.js";
+import { deduplicateRootDomains, extractDomainsFromContent } from "./domain.js";
 import {
   createNamedTask,
   getFeatureName,
@@ -133,7 +134,11 @@ function makeBody(supportImage) {
 // combine handlers
 function makeHandlers(supportImage) {
   const featureName = getFeatureName(supportImage);
-  const namespaceScript = "import { _, $ } from '__ADSBYPASSER_NAMESPACE__';\n";
+  const namespaceScript = [
+    "import { _, $ } from '__ADSBYPASSER_NAMESPACE__';",
+    "import { withSite } from 'util/dispatcher';",
+    "",
+  ].join("\n");
 
   const handlers = ["src/sites/file/*.js", "src/sites/link/*.js"];
   if (supportImage) {
@@ -141,11 +146,27 @@ function makeHandlers(supportImage) {
   }
   return gulp
     .src(handlers.map(source.to.bind(source)))
+    .pipe(plugins.change(wrapSite))
     .pipe(plugins.concat(`${featureName}.js`))
     .pipe(plugins.injectString.prepend(namespaceScript))
     .pipe(gulp.dest(output.to("handlers")));
 }
 
+// tag every handler in a site file with an id derived from its path
+function wrapSite(content) {
+  const id = path
+    .relative(source.to("src/sites"), this.file.path)
+    .replace(/\\/g, "/")
+    .replace(/\.js$/, "");
+  const site = {
+    id,
+    domains: extractDomainsFromContent(content),
+  };
+  return [`withSite(${JSON.stringify(site)}, () => {`, content, "});", ""].join(
+    "\n",
+  );
+}
+
 // generate namespace
 function makeNamespace(supportImage) {
   const featureName = getFeatureName(supportImage);
@@ -180,6 +201,12 @@ async function extractDomainsForMetadata(supportImage) {
     .flatMap((domain) => [domain, `*.${domain}`])
     .map((domain) => `// @match          *://${domain}/*`);
 
+  // link pre-resolution works on referring pages, which can be anywhere, so
+  // only builds asking for it run on every page
+  if (process.env.ADSBYPASSER_PRERESOLVE) {
+    matchDirectives.push("// @match          *://*/*");
+  }
+
   return matchDirectives;
 }
 
@@ -0,0 +1,22 @@
+/**
+ * Node module hooks resolving `util/*` like the webpack build and the vitest
+ * alias do, so command line tools can import the userscript sources
+ */
+import path from "path";
+import { fileURLToPath, pathToFileURL } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const UTIL_DIR = path.resolve(__dirname, "../src/util");
+
+export async function resolve(specifier, context, nextResolve) {
+  const m = specifier.match(/^util\/(.+?)(\.js)?$/);
+  if (!m) {
+    return nextResolve(specifier, context);
+  }
+  return {
+    url: pathToFileURL(path.join(UTIL_DIR, `${m[1]}.js`)).href,
+    shortCircuit: true,
+  };
+}
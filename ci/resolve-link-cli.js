@@ -0,0 +1,91 @@
+#!/usr/bin/env node
+
+import fs from "fs/promises";
+
+import { resolveLink } from "./resolve-link.js";
+
+function usage() {
+  console.error(
+    "Usage: node resolve-link-cli.js [--json] [--html <file>] [--lite] [--timeout <ms>] [--verbose] <url>",
+  );
+  console.error(
+    "Example: node resolve-link-cli.js https://binbox.io/o/aHR0cHM6Ly9leGFtcGxlLmNvbS8",
+  );
+  console.error("");
+  console.error(
+    "This script finds the handler matching the URL and prints where it leads.",
+  );
+  console.error(
+    "Handlers reading the page need it saved as HTML and passed with --html.",
+  );
+  process.exit(1);
+}
+
+function parseArgs(argv) {
+  const args = {
+    json: false,
+    html: null,
+    supportImage: true,
+    timeout: undefined,
+    logLevel: 0,
+    url: null,
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--json") {
+      args.json = true;
+    } else if (arg === "--html") {
+      args.html = argv[++i];
+    } else if (arg === "--lite") {
+      args.supportImage = false;
+    } else if (arg === "--timeout") {
+      args.timeout = parseInt(argv[++i], 10);
+    } else if (arg === "--verbose") {
+      args.logLevel = 2;
+    } else if (!arg.startsWith("--") && !args.url) {
+      args.url = arg;
+    } else {
+      usage();
+    }
+  }
+
+  if (!args.url || args.html === undefined || Number.isNaN(args.timeout)) {
+    usage();
+  }
+  return args;
+}
+
+/**
+ * CLI interface for resolving links offline
+ */
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  try {
+    const html = args.html
+      ? await fs.readFile(args.html, { encoding: "utf-8" })
+      : undefined;
+    const result = await resolveLink(args.url, {
+      html,
+      timeout: args.timeout,
+      supportImage: args.supportImage,
+      logLevel: args.logLevel,
+    });
+
+    if (args.json) {
+      console.log(JSON.stringify(result, null, 2));
+    } else if (result.destination) {
+      console.log(result.destination);
+    } else {
+      console.error(`Error: ${result.reason}`);
+    }
+    process.exit(result.destination ? 0 : 1);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Run the CLI
+main();
@@ -0,0 +1,146 @@
+import { register } from "module";
+
+import { createSandbox, listSiteFiles, loadSite } from "../build/sandbox.js";
+
+register("./loader.js", import.meta.url);
+
+// read the target of `{ link }`, `{ image }` and anchor `{ click }` handlers
+// from the saved page instead of running them
+function resolveDeclarative(result, handler, html) {
+  if (html === undefined) {
+    result.reason = "handler needs the page, save it and pass it as HTML";
+    return result;
+  }
+
+  const type = ["link", "image", "click"].find((k) => k in handler);
+  const element = document.querySelector(handler[type]);
+  if (!element) {
+    result.reason = `\`${handler[type]}\` not found`;
+    return result;
+  }
+
+  const to =
+    type === "image"
+      ? element.src || element.href
+      : element.href || element.src || element.getAttribute("action");
+  if (!to) {
+    result.reason = `handler clicks \`${handler.click}\`, the site decides the rest`;
+    return result;
+  }
+
+  result.type = type === "image" ? "image" : "link";
+  result.destination = new URL(to, result.url).href;
+  return result;
+}
+
+/**
+ * Run the handler matching `url` and capture where it leads
+ *
+ * Declarative handlers are resolved directly, from the saved page if needed. Otherwise,
+ * without `html` only the `start()` phase runs against a blank page, which is
+ * enough for handlers that only transform the URL in code. Page based handlers need
+ * the saved page to run `ready()` as well. Countdowns are skipped since a
+ * saved page never changes anyway.
+ * @param {string} url - Link to resolve
+ * @param {Object} [options]
+ * @param {string} [options.html] - Content of the saved page
+ * @param {number} [options.timeout] - Milliseconds to wait for the handler
+ * @param {boolean} [options.supportImage] - Include image handlers
+ * @param {number} [options.logLevel] - `log_level` of the userscript
+ * @returns {Promise<Object>} `{ url, handler, type, destination, options }`,
+ *   `destination` is null and `reason` is set if it could not be resolved
+ */
+export async function resolveLink(url, options = {}) {
+  const { html, timeout = 10000, supportImage = true, logLevel = 0 } = options;
+
+  const sandbox = await createSandbox({ url, html, supportImage });
+  const { _, $, dispatcher } = sandbox;
+  const result = {
+    url,
+    handler: null,
+    type: null,
+    destination: null,
+    options: {},
+    reason: null,
+  };
+
+  try {
+    const logger = await import("util/logger.js");
+    logger.setLogLevel(logLevel);
+
+    const directories = ["file", "link"];
+    if (supportImage) {
+      directories.push("image");
+    }
+    for (const file of await listSiteFiles(directories)) {
+      await loadSite(file, { _, $, withSite: dispatcher.withSite });
+    }
+
+    const matched = dispatcher.matchURL(url);
+    if (!matched) {
+      result.reason = "no handler matches this URL";
+      return result;
+    }
+    const { handler, match } = matched;
+    result.handler = handler.id;
+
+    if (handler.rewrite) {
+      result.type = "link";
+      result.destination = new URL(
+        dispatcher.rewriteURL(handler.rewrite, url),
+        url,
+      ).href;
+      return result;
+    }
+
+    const declarative = await import("util/declarative.js");
+    if (declarative.isDeclarative(handler)) {
+      return resolveDeclarative(result, handler, html);
+    }
+
+    const resolved = new Promise((resolve) => {
+      const capture =
+        (type) =>
+        async (to, options_ = {}) => {
+          resolve({ type, to, options: options_ });
+        };
+      $.openLink = capture("link");
+      $.openImage = capture("image");
+    });
+    $.removeAllTimer = () => {};
+    _.wait = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+    const run = (async () => {
+      if (handler.start) {
+        await handler.start(match);
+      }
+      if (html === undefined) {
+        return "handler needs the page, save it and pass it as HTML";
+      }
+      if (handler.ready) {
+        await handler.ready(match);
+      }
+      return "handler finished without a destination";
+    })().catch((e) => `handler failed: ${e.message}`);
+
+    let timer = null;
+    const expired = new Promise((resolve) => {
+      timer = setTimeout(() => resolve("timed out"), timeout);
+    });
+
+    const outcome = await Promise.race([resolved, run, expired]);
+    clearTimeout(timer);
+
+    if (typeof outcome === "string") {
+      // the handler may still have resolved while failing
+      result.reason = outcome;
+      return result;
+    }
+    result.type = outcome.type;
+    result.destination = new URL(String(outcome.to), url).href;
+    result.options = outcome.options;
+    return result;
+  } finally {
+    sandbox.close();
+  }
+}
@@ -26,19 +26,27 @@ export default [
         fetch: "readonly",
         XMLHttpRequest: "readonly",
         location: "readonly",
+        navigator: "readonly",
+        URL: "readonly",
+        URLSearchParams: "readonly",
         FormData: "readonly",
         DOMParser: "readonly",
         MutationObserver: "readonly",
         atob: "readonly",
         btoa: "readonly",
+        Blob: "readonly",
+        TextEncoder: "readonly",
+        AbortController: "readonly",
         // Greasemonkey globals
         GM: "readonly",
         GM_addStyle: "readonly",
         GM_deleteValue: "readonly",
+        GM_download: "readonly",
         GM_getValue: "readonly",
         GM_listValues: "readonly",
         GM_openInTab: "readonly",
         GM_registerMenuCommand: "readonly",
+        GM_setClipboard: "readonly",
         GM_setValue: "readonly",
         GM_xmlhttpRequest: "readonly",
         GM_getResourceURL: "readonly",
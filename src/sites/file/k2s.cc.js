@@ -1,13 +1,11 @@
 /**
  * @domain k2s.cc
+ * @example-url https://k2s.cc/file/1a2b3c4d5e6f7/archive.zip
  */
 _.register({
   rule: {
     host: /^k2s\.cc$/,
   },
-  async ready() {
-    await _.wait(35000);
-    const a = $("a.link-to-file");
-    await $.openLink(a.href);
-  },
+  wait: 35000,
+  link: "a.link-to-file",
 });
@@ -1,12 +1,10 @@
 /**
  * @domain keeplinks.org
+ * @example-url https://www.keeplinks.org/p54/5f0c8a1d2e3b4
  */
 _.register({
   rule: {
     host: /^(www\.)?keeplinks\.org$/,
   },
-  async ready() {
-    const button = $('[id="btnproceedsubmit"]');
-    button.click();
-  },
+  click: '[id="btnproceedsubmit"]',
 });
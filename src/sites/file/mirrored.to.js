@@ -1,5 +1,6 @@
 /**
  * @domain mirrored.to
+ * @example-url https://www.mirrored.to/files/ABCDEF12/archive.zip_links
  */
 _.register({
   rule: "https://www.mirrored.to/files/*",
@@ -1,12 +1,10 @@
 /**
  * @domain multiup.io
+ * @example-url https://multiup.io/download/0123456789abcdef/archive.zip
  */
 _.register({
   rule: {
     host: /^multiup\.io$/,
   },
-  async ready() {
-    const b = $(".btn-info.btn-lg.btn-block");
-    b.click();
-  },
+  click: ".btn-info.btn-lg.btn-block",
 });
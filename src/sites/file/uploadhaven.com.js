@@ -1,14 +1,12 @@
 /**
  * @domain uploadhaven.com
+ * @example-url https://uploadhaven.com/download/0123456789abcdef
  */
 _.register({
   rule: {
     host: /^uploadhaven\.com$/,
     path: /^\/download\//,
   },
-  async ready() {
-    await _.wait(18000);
-    const f = $(".btn-submit-free.btn-download-free");
-    f.click();
-  },
+  wait: 18000,
+  click: ".btn-submit-free.btn-download-free",
 });
@@ -1,58 +1,18 @@
 /**
  * @domain 22pixx.xyz
+ * @example-url https://22pixx.xyz/ia-i/2024/01/01/abc.jpeg.html
+ * @example-url https://22pixx.xyz/x-i/2024/01/01/abc.jpeg.html
  */
 _.register({
   rule: {
     host: /^22pixx\.xyz$/,
-    path: /^\/ia-[aio]\/(.+)\.jpeg\.html/,
+    path: /^\/(ia-[aio]|ib-[aior]|i-[ai1]|x-[aor]|y-[ao1])\/(.+)\.jpeg\.html/,
   },
-  async start() {
-    const path = window.location.href.replace("/ia-", "/").replace(".html", "");
-    await $.openLink(path);
-  },
-});
-
-_.register({
-  rule: {
-    host: /^22pixx\.xyz$/,
-    path: /^\/ib-[aior]\/(.+)\.jpeg\.html/,
-  },
-  async start() {
-    const path = window.location.href.replace("/ib-", "/").replace(".html", "");
-    await $.openLink(path);
-  },
-});
-
-_.register({
-  rule: {
-    host: /^22pixx\.xyz$/,
-    path: /^\/i-[ai1]\/(.+)\.jpeg\.html/,
-  },
-  async start() {
-    const path = window.location.href.replace("/i-", "/").replace(".html", "");
-    await $.openLink(path);
-  },
-});
-
-_.register({
-  rule: {
-    host: /^22pixx\.xyz$/,
-    path: /^\/x-[aor]\/(.+)\.jpeg\.html/,
-  },
-  async start() {
-    const path = window.location.href.replace("/x-", "/").replace(".html", "");
-    await $.openLink(path);
-  },
-});
-
-_.register({
-  rule: {
-    host: /^22pixx\.xyz$/,
-    path: /^\/y-[ao1]\/(.+)\.jpeg\.html/,
-  },
-  async start() {
-    const path = window.location.href.replace("/y-", "/").replace(".html", "");
-    await $.openLink(path);
+  rewrite: {
+    replace: [
+      [/\/(ia|ib|i|x|y)-/, "/"],
+      [".html", ""],
+    ],
   },
 });
 
@@ -61,8 +21,7 @@ _.register({
     host: /^22pixx\.xyz$/,
     path: /^\/x-i\/(.+)\.jpeg\.html/,
   },
-  async start() {
-    const path = window.location.href.replace("/x", "/y");
-    await $.openLink(path);
+  rewrite: {
+    replace: [["/x", "/y"]],
   },
 });
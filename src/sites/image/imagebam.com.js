@@ -1,5 +1,6 @@
 /**
  * @domain imagebam.com
+ * @example-url https://www.imagebam.com/view/ME1A2B3C
  */
 _.register({
   rule: {
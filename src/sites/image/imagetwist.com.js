@@ -5,6 +5,8 @@
  * @domain imagetwist.com
  * @domain imagexport.com
  * @domain vipr.im
+ * @example-url https://imagetwist.com/abcdef123456/sample.jpg
+ * @example-url https://vipr.im/abcdef123456.html
  */
 _.register({
   rule: {
@@ -17,6 +19,7 @@ _.register({
       /^vipr\.im$/,
     ],
   },
+  fullsize: [[/^(https:\/\/img\d+\.imagetwist\.com)\/th\//, "$1/i/"]],
   async ready() {
     const i = $("img.pic");
     if (window.location.host === "vipr.im") {
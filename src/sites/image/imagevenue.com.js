@@ -1,5 +1,6 @@
 /**
  * @domain imagevenue.com
+ * @example-url https://www.imagevenue.com/ME1A2B3C
  */
 _.register({
   rule: {
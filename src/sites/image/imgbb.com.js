@@ -1,13 +1,11 @@
 /**
  * @domain ibb.co
  * @domain imgbb.com
+ * @example-url https://ibb.co/AbCd123
  */
 _.register({
   rule: {
     host: [/^imgbb\.com$/, /^ibb\.co$/],
   },
-  async ready() {
-    const img = $(".image-viewer-container img");
-    await $.openImage(img.src);
-  },
+  image: ".image-viewer-container img",
 });
@@ -1,12 +1,37 @@
 /**
  * @domain imgbox.com
+ * @example-url https://imgbox.com/g/Ab3dEf9h12
+ * @example-url https://imgbox.com/Ab3dEf9h
  */
 _.register({
   rule: {
     host: /^imgbox\.com$/,
+    path: /^\/g\/\w+/,
   },
   async ready() {
-    const i = $("#img");
-    await $.openImage(i.src);
+    const links = $.$$("#gallery-view-content a");
+    const items = Array.from(links).map((a) => {
+      const thumb = a.querySelector("img");
+      return { page: a.href, thumb: thumb ? thumb.src : null };
+    });
+    await $.openGallery(items, {
+      async resolve(page) {
+        const html = await $.get(page);
+        return $("#img", $.toDOM(html)).src;
+      },
+    });
   },
 });
+
+_.register({
+  rule: {
+    host: /^imgbox\.com$/,
+  },
+  image: "#img",
+  fullsize: [
+    [
+      /^https:\/\/thumbs(\d+)\.imgbox\.com\/(.+)_t\.(\w+)$/,
+      "https://images$1.imgbox.com/$2_o.$3",
+    ],
+  ],
+});
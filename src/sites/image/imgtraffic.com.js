@@ -1,14 +1,17 @@
 /**
  * @domain imgtraffic.com
+ * @example-url https://imgtraffic.com/i-1/2024/01/01/abc.jpeg.html
  */
 _.register({
   rule: {
     host: /^imgtraffic\.com$/,
     path: /^\/a-1\/(.+)\.jpeg\.html/,
   },
-  async start() {
-    const path = window.location.href.replace("/a-", "/").replace(".html", "");
-    await $.openLink(path);
+  rewrite: {
+    replace: [
+      ["/a-", "/"],
+      [".html", ""],
+    ],
   },
 });
 
@@ -17,9 +20,11 @@ _.register({
     host: /^imgtraffic\.com$/,
     path: /^\/i-1\/(.+)\.jpeg\.html/,
   },
-  async start() {
-    const path = window.location.href.replace("/i-", "/").replace(".html", "");
-    await $.openLink(path);
+  rewrite: {
+    replace: [
+      ["/i-", "/"],
+      [".html", ""],
+    ],
   },
 });
 
@@ -28,9 +33,11 @@ _.register({
     host: /^imgtraffic\.com$/,
     path: /^\/n-1\/(.+)\.jpeg\.html/,
   },
-  async start() {
-    const path = window.location.href.replace("/n-", "/").replace(".html", "");
-    await $.openLink(path);
+  rewrite: {
+    replace: [
+      ["/n-", "/"],
+      [".html", ""],
+    ],
   },
 });
 
@@ -39,8 +46,10 @@ _.register({
     host: /^imgtraffic\.com$/,
     path: /^\/z-1\/(.+)\.jpeg\.html/,
   },
-  async start() {
-    const path = window.location.href.replace("/z-", "/").replace(".html", "");
-    await $.openLink(path);
+  rewrite: {
+    replace: [
+      ["/z-", "/"],
+      [".html", ""],
+    ],
   },
 });
@@ -1,5 +1,6 @@
 /**
  * @domain miragepics.com
+ * @example-url https://miragepics.com/viewer.php?file=abc123.jpg
  */
 (function () {
   _.register({
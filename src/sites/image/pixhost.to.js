@@ -5,6 +5,7 @@
  * @domain javtenshi.com
  * @domain pixhost.to
  * @domain uncenav.com
+ * @example-url https://pixhost.to/show/123/456789_sample.jpg
  */
 _.register({
   rule: [
@@ -22,6 +23,12 @@ _.register({
       path: /^\/viewimage\//,
     },
   ],
+  fullsize: [
+    [
+      /^https:\/\/t(\d+)\.pixhost\.to\/thumbs\//,
+      "https://img$1.pixhost.to/images/",
+    ],
+  ],
   async ready() {
     $.remove("iframe, #ad");
 
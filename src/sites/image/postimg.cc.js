@@ -2,6 +2,7 @@
  * @domain pixxxels.cc
  * @domain postimg.cc
  * @domain postlmg.cc
+ * @example-url https://postimg.cc/AbCd1234
  */
 _.register({
   rule: {
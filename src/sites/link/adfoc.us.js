@@ -1,5 +1,6 @@
 /**
  * @domain adfoc.us
+ * @example-url https://adfoc.us/123456789
  */
 _.register({
   rule: {
@@ -1,19 +1,32 @@
 /**
  * @domain adshnk.com
  */
+// the checks can miss an element that works, so a timeout falls back to
+// taking it as it is, as the handler did before it waited for it
+async function waitForOrTake(selector, options) {
+  try {
+    return await $.waitFor(selector, options);
+  } catch (e) {
+    if (!(e instanceof _.TimeoutError)) throw e;
+    return $(selector);
+  }
+}
+
 _.register({
   rule: {
     host: /^adshnk\.com$/,
   },
   async ready() {
-    await _.wait(16000);
-    const b = $(
+    const b = await waitForOrTake(
       'button[class="ui right labeled icon button primary huge fluid"]',
+      { timeout: 16000, visible: true, enabled: true },
     );
     b.click();
 
-    await _.wait(18000);
-    const a = $('a[id="final_redirect"]');
+    const a = await waitForOrTake('a[id="final_redirect"]', {
+      timeout: 18000,
+      attribute: "href",
+    });
     await $.openLink(a.href);
   },
 });
@@ -1,14 +1,12 @@
 /**
  * @domain bc.vc
  * @domain bcvc.ink
+ * @example-url https://bcvc.ink/AbCdEf
  */
 _.register({
   rule: {
     host: /^bcvc\.ink$/,
   },
-  async ready() {
-    await _.wait(5000);
-    const b = $("#getLink");
-    b.click();
-  },
+  wait: 5000,
+  click: "#getLink",
 });
@@ -1,5 +1,6 @@
 /**
  * @domain binbox.io
+ * @example-url https://binbox.io/o/aHR0cHM6Ly9leGFtcGxlLmNvbS8
  */
 // Binbox links
 _.register({
@@ -9,8 +10,8 @@ _.register({
       path: /\/o\/([a-zA-Z0-9]+)/,
     },
   ],
-  async start(m) {
-    const direct_link = window.atob(m.path[1]);
-    await $.openLink(direct_link);
+  rewrite: {
+    replace: [[/^.*?\/o\/([a-zA-Z0-9]+).*$/, "$1"]],
+    decode: "base64",
   },
 });
@@ -1,12 +1,10 @@
 /**
  * @domain cocoleech.com
+ * @example-url https://cocoleech.com/abcdef
  */
 _.register({
   rule: {
     host: /^cocoleech\.com$/,
   },
-  async ready() {
-    const a = $(".btn.btn-block.btn-success");
-    await $.openLink(a.href);
-  },
+  link: ".btn.btn-block.btn-success",
 });
@@ -1,18 +1,32 @@
 /**
  * @domain dlupload.com
  */
+// the checks can miss a button that works, so a timeout falls back to
+// taking it as it is, as the handler did before it waited for it
+async function waitForOrTake(selector, options) {
+  try {
+    return await $.waitFor(selector, options);
+  } catch (e) {
+    if (!(e instanceof _.TimeoutError)) throw e;
+    return $(selector);
+  }
+}
+
 _.register({
   rule: {
     host: /^dlupload\.com$/,
   },
   async ready() {
-    await _.wait(3500);
-    const b = $(
+    const b = await waitForOrTake(
       ".btn-block.btn-primary.text-white.shadow.m-1.position-relative.up-tooltip-container",
+      { timeout: 3500, visible: true, enabled: true },
     );
     b.click();
-    await _.wait(6000);
-    const btn = $(".btn-block.continue-btn-bg");
+    const btn = await waitForOrTake(".btn-block.continue-btn-bg", {
+      timeout: 6000,
+      visible: true,
+      enabled: true,
+    });
     btn.click();
   },
 });
@@ -1,13 +1,11 @@
 /**
  * @domain gplinks.co
+ * @example-url https://gplinks.co/AbCd
  */
 _.register({
   rule: {
     host: /^gplinks\.co$/,
   },
-  async ready() {
-    await _.wait(8000);
-    const d = $(".get-link");
-    d.click();
-  },
+  wait: 8000,
+  click: ".get-link",
 });
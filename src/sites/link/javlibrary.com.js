@@ -1,12 +1,14 @@
 /**
  * @domain javlibrary.com
+ * @example-url https://www.javlibrary.com/en/redirect.php?url=https%3A%2F%2Fexample.com%2F
  */
 _.register({
   rule: {
     host: /^www\.javlibrary\.com$/,
     query: /url=([^&]+)/,
   },
-  async start(m) {
-    await $.openLink(decodeURIComponent(m.query[1]));
+  rewrite: {
+    fromQuery: "url",
+    decode: "uri",
   },
 });
@@ -55,6 +55,7 @@
         /^thotpacks\.xyz$/,
       ],
     },
+    harden: ["overlay"],
     async ready() {
       const handler = new RecaptchaHandler();
       await handler.call();
@@ -63,15 +64,6 @@
 
   class AbstractHandler {
     constructor() {
-      this._overlaySelector = [
-        '[class$="Overlay"]',
-        "#__random_class_name__",
-        "#headlineatas",
-        "#myModal",
-        ".opacity_wrapper",
-        "#overlay",
-      ].join(", ");
-
       // TODO extract to paramater
       this._formSelector = [
         "#go-link",
@@ -81,15 +73,6 @@
       ].join(", ");
     }
 
-    removeOverlay() {
-      $.remove(this._overlaySelector);
-      $.block(this._overlaySelector, document.body);
-
-      setInterval(() => {
-        document.body.style.overflow = "initial";
-      }, 500);
-    }
-
     removeFrame() {
       $.remove("iframe");
     }
@@ -113,31 +96,26 @@
 
   class RecaptchaHandler extends AbstractHandler {
     async prepare() {
-      this.removeOverlay();
-
       const f = $.$("#captchaShortlink, div.g-recaptcha");
       if (!f) {
         return true;
       }
-      _.info("recaptcha detected, stop");
-
-      // press the button after recaptcha
-      _.info("trying to listen submit button");
+      // press the button once the user has solved the captcha
       const b = $.$("#invisibleCaptchaShortlink");
-      if (!b) {
-        return false;
+      if (!(await $.waitForCaptcha({ submit: b }))) {
+        // no widget to wait for yet, the user has to go on by hand
+        throw new _.CaptchaRequiredError();
       }
-    }
-
-    async submitListen(b) {
-      const o = new MutationObserver(() => {
-        if (!b.disabled) {
-          b.click();
+      _.info("captcha solved, resuming");
+      if (b) {
+        b.click();
+      } else {
+        const form = $.$("#link-view");
+        if (form) {
+          form.submit();
         }
-      });
-      o.observe(b, {
-        attributes: true,
-      });
+      }
+      return false;
     }
 
     async getMiddleware() {
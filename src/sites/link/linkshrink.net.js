@@ -1,5 +1,6 @@
 /**
  * @domain linkshrink.net
+ * @example-url https://linkshrink.net/AbC123
  */
 _.register({
   rule: {
@@ -5,16 +5,24 @@ _.register({
   rule: {
     host: /^www\.oni\.vn$/,
   },
+  async resolve(m, url) {
+    const doc = $.toDOM(await $.get(url));
+    return getClickURL(doc, url);
+  },
   async ready() {
     $.remove("iframe");
 
-    let data = $.searchFromScripts(/data:"([^"]+)"/);
-    if (!data) {
-      throw new _.AdsBypasserError("pattern changed");
-    }
-    data = data[1];
-
-    const url = await $.get("/click.html", data);
+    const url = await getClickURL(document, window.location.href);
     await $.openLink(url);
   },
 });
+
+async function getClickURL(doc, base) {
+  let data = $.searchFromScripts(/data:"([^"]+)"/, doc);
+  if (!data) {
+    throw new _.SiteChangedError("pattern changed");
+  }
+  data = data[1];
+
+  return $.get(new URL("/click.html", base).toString(), data);
+}
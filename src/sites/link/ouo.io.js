@@ -1,6 +1,8 @@
 /**
  * @domain ouo.io
  * @domain ouo.press
+ * @example-url https://ouo.io/AbCd12
+ * @example-url https://ouo.press/go/AbCd12
  */
 _.register({
   rule: {
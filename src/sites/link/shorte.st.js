@@ -7,6 +7,8 @@
  * @domain festyy.com
  * @domain gestyy.com
  * @domain sh.st
+ * @example-url https://sh.st/AbCd1
+ * @example-url https://gestyy.com/AbCd1
  */
 (function () {
   const hostRules = [
@@ -15,41 +17,48 @@
     // else
     /^sh\.st$/,
   ];
+  const SESSION_PATTERN = /sessionId: "([\d\w]+)",/;
+  const XPID_PATTERN = /xpid:"([^"]+)"/;
+  // the ad session lasts a few seconds
+  const MAX_POLLS = 30;
+  const SCRIPT_TIMEOUT = 10000;
 
   _.register({
     rule: {
       host: hostRules,
       path: /^\/[\d\w]+/,
     },
+    async resolve(m, url) {
+      const doc = $.toDOM(await $.get(url));
+      const sessionId = $.searchFromScripts(SESSION_PATTERN, doc);
+      if (!sessionId) {
+        throw new _.SiteChangedError("session id not found");
+      }
+      const xpid = $.searchFromScripts(XPID_PATTERN, doc);
+      return getDestination(sessionId[1], xpid, url);
+    },
     async ready() {
       $.remove("iframe");
       $.removeAllTimer();
 
-      const m = $.searchFromScripts(/sessionId: "([\d\w]+)",/);
-      if (m) {
-        afterGotSessionId(m[1]);
-        return;
-      }
-
-      // script not loaded yet, wait until it appears
-      const o = new MutationObserver((mutations) => {
-        mutations.forEach(() => {
-          const m = $.searchFromScripts(/sessionId: "([\d\w]+)",/);
-          if (m) {
-            o.disconnect();
-            afterGotSessionId(m[1]);
-          }
-        });
-      });
-      o.observe(document.body, {
-        childList: true,
-      });
+      // the script may not be loaded yet
+      const sessionId = await _.waitUntil(
+        () => $.searchFromScripts(SESSION_PATTERN),
+        { timeout: SCRIPT_TIMEOUT },
+      );
+      const xpid = $.searchFromScripts(XPID_PATTERN);
+      const url = await getDestination(
+        sessionId[1],
+        xpid,
+        window.location.href,
+      );
+      $.removeAllTimer();
+      await $.openLink(url);
     },
   });
 
-  function afterGotSessionId(sessionId) {
-    const X_NewRelic_ID = $.searchFromScripts(/xpid:"([^"]+)"/);
-
+  async function getDestination(sessionId, xpid, base) {
+    const endpoint = new URL("/shortest-url/end-adsession", base).toString();
     const data = {
       adSessionId: sessionId,
     };
@@ -58,20 +67,17 @@
       Accept: "application/json, text/javascript",
     };
 
-    if (X_NewRelic_ID) {
-      header["X-NewRelic-ID"] = X_NewRelic_ID;
+    if (xpid) {
+      header["X-NewRelic-ID"] = xpid[1];
     }
 
-    const i = setInterval(function () {
-      $.get("/shortest-url/end-adsession", data, header).then(function (text) {
-        const r = JSON.parse(text);
-        if (r.status == "ok" && r.destinationUrl) {
-          clearInterval(i);
-          $.removeAllTimer();
-          const url = decodeURIComponent(r.destinationUrl);
-          return $.openLink(url);
-        }
-      });
-    }, 1000);
+    for (let i = 0; i < MAX_POLLS; ++i) {
+      await _.wait(1000);
+      const r = JSON.parse(await $.get(endpoint, data, header));
+      if (r.status == "ok" && r.destinationUrl) {
+        return decodeURIComponent(r.destinationUrl);
+      }
+    }
+    throw new _.AdsBypasserError("ad session did not end");
   }
 })();
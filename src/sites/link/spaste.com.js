@@ -1,14 +1,13 @@
 /**
  * @domain spaste.com
+ * @example-url https://www.spaste.com/site/checkPasteUrl?c=abc123
  */
 _.register({
   rule: {
     host: /^www\.spaste\.com$/,
     path: /^\/site\//,
   },
-  async ready() {
-    // time needed to complete captcha
-    await _.wait(15000);
-    $("#template-contactform-submit").click();
-  },
+  // time needed to complete captcha
+  delay: 15000,
+  click: "#template-contactform-submit",
 });
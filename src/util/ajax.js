@@ -17,6 +17,10 @@ class AjaxError extends AdsBypasserError {
     return "AjaxError";
   }
 
+  get code() {
+    return "NETWORK";
+  }
+
   get method() {
     return this._method;
   }
@@ -93,7 +97,7 @@ function toForm(data) {
   return form;
 }
 
-function ajax(method, url, data, headers) {
+function ajax(method, url, data, headers, responseType) {
   debug("ajax", method, url, data, headers);
 
   const l = document.createElement("a");
@@ -131,6 +135,7 @@ function ajax(method, url, data, headers) {
       url,
       data,
       headers,
+      responseType,
       onload(response) {
         response =
           typeof response.responseText !== "undefined" ? response : this;
@@ -146,7 +151,7 @@ function ajax(method, url, data, headers) {
             ),
           );
         } else {
-          resolve(response.responseText);
+          resolve(responseType ? response.response : response.responseText);
         }
       },
       onerror(response) {
@@ -185,4 +190,45 @@ function post(url, data, headers) {
   return ajax("POST", url, data, h);
 }
 
-export { get, post };
+/**
+ * Ask about a resource without downloading it
+ *
+ * Unlike get() and post(), any status resolves.
+ * @param {string} url
+ * @param {Object} [headers]
+ * @returns {Promise<Object>} `{ status, finalUrl, type }`, `type` is the
+ *   Content-Type header
+ */
+function head(url, headers = {}) {
+  debug("ajax", "HEAD", url, headers);
+
+  return new Promise((resolve, reject) => {
+    GMAPI.xmlHttpRequest({
+      method: "HEAD",
+      url,
+      headers,
+      onload(response) {
+        response = typeof response.status !== "undefined" ? response : this;
+        const type = /^content-type:\s*(.*)$/im.exec(
+          response.responseHeaders || "",
+        );
+        resolve({
+          status: response.status,
+          finalUrl: response.finalUrl || url,
+          type: type ? type[1].trim() : "",
+        });
+      },
+      onerror(response) {
+        response = typeof response.status !== "undefined" ? response : this;
+        reject(new AjaxError("HEAD", url, "", headers, response.status, ""));
+      },
+    });
+  });
+}
+
+// binary content like images, resolves to a Blob
+function getBlob(url, headers) {
+  return ajax("GET", url, "", headers || {}, "blob");
+}
+
+export { AjaxError, get, getBlob, head, post };
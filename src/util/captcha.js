@@ -0,0 +1,121 @@
+// -----------------------------
+// Captcha Detection
+// -----------------------------
+// AdsBypasser does not solve captchas. It points the user at the widget and
+// resumes the handler once a solution token shows up or the submit button
+// becomes enabled.
+import { CaptchaRequiredError, TimeoutError, waitUntil } from "util/core.js";
+import { querySelectorOrNull } from "util/dom.js";
+import { debug, info } from "util/logger.js";
+import { setStatusNote } from "util/status.js";
+import { holdDeadline } from "util/supervisor.js";
+
+const WIDGETS = [
+  {
+    type: "reCAPTCHA",
+    selector: '.g-recaptcha, iframe[src*="/recaptcha/"]',
+    token: '[name="g-recaptcha-response"]',
+  },
+  {
+    type: "hCaptcha",
+    selector: '.h-captcha, iframe[src*="hcaptcha.com"]',
+    token: '[name="h-captcha-response"]',
+  },
+  {
+    type: "Turnstile",
+    selector: '.cf-turnstile, iframe[src*="challenges.cloudflare.com"]',
+    token: '[name="cf-turnstile-response"]',
+  },
+];
+const POLL_INTERVAL = 500;
+const HIGHLIGHT = "3px solid #f80";
+
+/**
+ * Find a captcha widget on the page
+ * @param {Element|Document} [context]
+ * @returns {Object|null} `{ type, element, token }`, `token` is the selector
+ *   of the solution field
+ */
+function detectCaptcha(context) {
+  for (const widget of WIDGETS) {
+    const element = querySelectorOrNull(widget.selector, context);
+    // invisible widgets only show up after the page submits
+    if (element && element.dataset.size !== "invisible") {
+      return { type: widget.type, element, token: widget.token };
+    }
+  }
+  return null;
+}
+
+function isSolved(captcha, submit, context) {
+  const field = querySelectorOrNull(captcha.token, context);
+  if (field && field.value) return true;
+  // some sites only enable their button once the widget says so
+  return !!submit && !submit.disabled;
+}
+
+function highlight(element) {
+  const { outline } = element.style;
+  element.style.outline = HIGHLIGHT;
+  if (element.scrollIntoView) {
+    element.scrollIntoView({ block: "center" });
+  }
+  return () => {
+    element.style.outline = outline;
+  };
+}
+
+/**
+ * Wait for the user to solve the captcha of the page, if any
+ *
+ * The time spent here does not count against the handler deadline.
+ * @param {Object} [options]
+ * @param {string|Element} [options.submit] - Button the page enables once
+ *   solved
+ * @param {Element|Document} [options.context]
+ * @param {number} [options.timeout] - 0 waits forever
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<Object|null>} The captcha, or null if there is none
+ * @throws {CaptchaRequiredError} If it is not solved within `timeout`
+ */
+async function waitForCaptcha({
+  submit = null,
+  context,
+  timeout = 0,
+  signal,
+} = {}) {
+  const captcha = detectCaptcha(context);
+  if (!captcha) return null;
+
+  if (typeof submit === "string") {
+    submit = querySelectorOrNull(submit, context);
+  }
+  // a button enabled from the start says nothing about the captcha
+  if (submit && !submit.disabled) submit = null;
+  if (isSolved(captcha, submit, context)) return captcha;
+
+  info(`${captcha.type} detected, waiting for the user to solve it`);
+  const restore = highlight(captcha.element);
+  const release = holdDeadline();
+  setStatusNote(`solve the ${captcha.type} to continue`);
+  try {
+    await waitUntil(() => isSolved(captcha, submit, context), {
+      interval: POLL_INTERVAL,
+      timeout,
+      signal,
+    });
+    debug(`${captcha.type} solved`);
+    return captcha;
+  } catch (e) {
+    if (e instanceof TimeoutError) {
+      throw new CaptchaRequiredError(`the ${captcha.type} was not solved`);
+    }
+    throw e;
+  } finally {
+    setStatusNote(null);
+    release();
+    restore();
+  }
+}
+
+export { detectCaptcha, waitForCaptcha };
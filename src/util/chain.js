@@ -0,0 +1,57 @@
+// -----------------------------
+// Chain Following
+// -----------------------------
+// When a destination is another shortener that can be resolved without
+// loading it, resolve it in the background and navigate only once.
+import { findDenyingEntry } from "util/destination.js";
+import { resolveHeadless } from "util/dispatcher.js";
+import { info, warn } from "util/logger.js";
+
+const MAX_HOPS = 5;
+
+/**
+ * Follow a destination through headless handlers
+ * @param {string} to - Destination found by the handler
+ * @param {Object} [options]
+ * @param {string[]} [options.disabled] - Ids of the disabled handlers
+ * @param {number} [options.maxHops] - Most shorteners to resolve
+ * @returns {Promise<string>} The last destination reached
+ */
+async function resolveChain(to, { disabled = [], maxHops = MAX_HOPS } = {}) {
+  const seen = new Set([window.location.href]);
+  let url = to;
+
+  for (let hop = 0; hop < maxHops; ++hop) {
+    let absolute = null;
+    try {
+      absolute = new URL(url, window.location.href).toString();
+    } catch {
+      return url;
+    }
+    // a denied destination is not even fetched
+    if (await findDenyingEntry(absolute)) return url;
+
+    let next = null;
+    try {
+      next = await resolveHeadless(absolute, disabled);
+    } catch (e) {
+      warn(`could not resolve ${absolute} in the background`, e);
+      return url;
+    }
+    if (!next || !next.to) return url;
+
+    const nextURL = new URL(next.to, absolute).toString();
+    if (seen.has(nextURL) || nextURL === absolute) {
+      warn(`${absolute} leads back to ${nextURL}, stopped following`);
+      return url;
+    }
+    seen.add(absolute);
+    info(`${absolute} -> ${nextURL} with ${next.id}`);
+    url = nextURL;
+  }
+
+  warn(`stopped following after ${maxHops} hops`);
+  return url;
+}
+
+export { resolveChain };
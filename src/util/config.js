@@ -1,7 +1,8 @@
 // -----------------------------
 // Config Loader
 // -----------------------------
-import { register } from "util/dispatcher.js";
+import { isString } from "util/core.js";
+import { listSites, register } from "util/dispatcher.js";
 import { usw, GMAPI } from "util/platform.js";
 
 const MANIFEST = [
@@ -38,13 +39,91 @@ const MANIFEST = [
     help: "Directly open image link if possible.",
     type: "checkbox",
   },
+  {
+    key: "verify_image",
+    default_: true,
+    verify: (v) => typeof v === "boolean",
+    normalize: Boolean,
+    label: "Verify Image",
+    help: "Check that an image is still there before opening it, and show it on its page when the host blocks opening it directly. Without it, full size images are opened unchecked.",
+    type: "checkbox",
+  },
+  {
+    key: "follow_chains",
+    default_: true,
+    verify: (v) => typeof v === "boolean",
+    normalize: Boolean,
+    label: "Follow Chains",
+    help: "Resolve shorteners leading to other shorteners in the background, and navigate only once.",
+    type: "checkbox",
+  },
+  {
+    key: "preresolve_links",
+    default_: false,
+    verify: (v) => typeof v === "boolean",
+    normalize: Boolean,
+    label: "Pre-resolve Links",
+    help: "On other pages, mark the links AdsBypasser supports, and point the ones it can resolve right away at their destination. Needs the userscript to run on every page, e.g. with *://*/* as a user match in your userscript manager.",
+    type: "checkbox",
+  },
+  {
+    key: "resolve_only",
+    default_: false,
+    verify: (v) => typeof v === "boolean",
+    normalize: Boolean,
+    label: "Resolve Only",
+    help: "Copy the destination to the clipboard and stay on the page, instead of opening it.",
+    type: "checkbox",
+  },
+  {
+    key: "resolve_only_handlers",
+    default_: [],
+    verify: (v) => Array.isArray(v) && v.every(isString),
+    normalize: (v) => Array.from(v).map(String),
+    label: "Resolve Only Sites",
+    help: "Handler ids like link/ouo.io, one per line, to resolve only on those sites. Also toggled by the menu command.",
+    type: "list",
+  },
+  {
+    key: "safe_mode",
+    default_: false,
+    verify: (v) => typeof v === "boolean",
+    normalize: Boolean,
+    label: "Safe Mode",
+    help: "Show the destination and wait for confirmation before leaving the page.",
+    type: "checkbox",
+  },
   {
     key: "scale_image",
     default_: true,
     verify: (v) => typeof v === "boolean",
     normalize: Boolean,
     label: "Scale Image",
-    help: "Scale image to fit window.",
+    help: "Show images in a viewer that fits them to the window, with zoom, pan and rotate.",
+    type: "checkbox",
+  },
+  {
+    key: "image_fit_mode",
+    default_: 0,
+    verify: (v) => typeof v === "number" && v >= 0 && v <= 3,
+    normalize: parseInt,
+    label: "Image Fit Mode",
+    help: "How the image viewer fits images, also changed from the viewer itself (f, w, h and 1 keys).",
+    type: "select",
+    menu: [
+      [0, "fit window (default)"],
+      [1, "fit width"],
+      [2, "fit height"],
+      [3, "actual size"],
+    ],
+  },
+  {
+    key: "show_status",
+    default_: true,
+    verify: (v) => typeof v === "boolean",
+    normalize: Boolean,
+    label: "Show Status",
+    help: "Show the bypass progress in a corner of the page.",
     type: "checkbox",
   },
   {
@@ -61,19 +140,73 @@ const MANIFEST = [
       [2, "2 (verbose)"],
     ],
   },
+  {
+    key: "handler_timeout",
+    default_: 60,
+    verify: (v) => typeof v === "number" && v >= 0,
+    normalize: parseInt,
+    label: "Handler Timeout",
+    help: "Give up on a page when a step takes longer than this.",
+    type: "select",
+    menu: [
+      [30, "30 seconds"],
+      [60, "60 seconds (default)"],
+      [120, "120 seconds"],
+      [0, "never"],
+    ],
+  },
+  {
+    key: "denied_destinations",
+    default_: [],
+    verify: (v) => Array.isArray(v) && v.every(isString),
+    normalize: (v) => Array.from(v).map(String),
+    label: "Denied Destinations",
+    help: "One domain like example.com or *.example.com, or pattern like *://*.example.com/* per line. AdsBypasser will not lead you there.",
+    type: "list",
+  },
+  {
+    key: "allowed_destinations",
+    default_: [],
+    verify: (v) => Array.isArray(v) && v.every(isString),
+    normalize: (v) => Array.from(v).map(String),
+    label: "Allowed Destinations",
+    help: "Exceptions to the denied destinations, in the same format.",
+    type: "list",
+  },
+  {
+    key: "denied_action",
+    default_: 0,
+    verify: (v) => v === 0 || v === 1,
+    normalize: parseInt,
+    label: "Denied Destination Action",
+    help: "What to do when a destination is denied.",
+    type: "select",
+    menu: [
+      [0, "refuse (default)"],
+      [1, "ask"],
+    ],
+  },
+  {
+    key: "disabled_handlers",
+    default_: [],
+    verify: (v) => Array.isArray(v) && v.every(isString),
+    normalize: (v) => Array.from(v).map(String),
+    label: "Handlers",
+    help: "Uncheck a site to stop AdsBypasser from working on it.",
+    type: "handlers",
+  },
 ];
 
 // -----------------------------
 // Helpers
 // -----------------------------
+// runs on every page, so only what is missing or invalid is written
 async function sanityCheck() {
   const values = await Promise.all(MANIFEST.map((d) => GMAPI.getValue(d.key)));
   const updates = {};
 
   MANIFEST.forEach((d, i) => {
-    let val = values[i];
-    if (!d.verify(val)) val = d.default_;
-    updates[d.key] = val;
+    if (!d.verify(values[i])) updates[d.key] = d.default_;
   });
 
   await Promise.all(
@@ -103,9 +236,17 @@ async function dumpConfig() {
   return o;
 }
 
+/**
+ * Fill in the missing or invalid settings with their defaults
+ */
 async function loadConfig() {
   await sanityCheck();
+}
 
+/**
+ * Register the handler of the configuration page
+ */
+function registerConfigPage() {
   register({
     rule: { host: /^adsbypasser\.github\.io$/, path: /^\/configure\.html$/ },
     async ready() {
@@ -126,6 +267,7 @@ async function loadConfig() {
           help: d.help,
         };
         if (d.type === "select") acc[d.key].menu = d.menu;
+        if (d.type === "handlers") acc[d.key].menu = listSites();
         return acc;
       }, {});
 
@@ -134,4 +276,4 @@ async function loadConfig() {
   });
 }
 
-export { dumpConfig, loadConfig };
+export { dumpConfig, loadConfig, registerConfigPage };
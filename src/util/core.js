@@ -6,6 +6,55 @@ class AdsBypasserError extends Error {
   get name() {
     return "AdsBypasserError";
   }
+
+  // stays the same when the message is reworded, for reports and history
+  get code() {
+    return "ERROR";
+  }
+}
+
+class TimeoutError extends AdsBypasserError {
+  constructor(msTimeout) {
+    super(`timed out after ${msTimeout}ms`);
+  }
+
+  get name() {
+    return "TimeoutError";
+  }
+
+  get code() {
+    return "TIMEOUT";
+  }
+}
+
+// the page no longer looks like what the handler expects
+class SiteChangedError extends AdsBypasserError {
+  constructor(message = "the site has changed") {
+    super(message);
+  }
+
+  get name() {
+    return "SiteChangedError";
+  }
+
+  get code() {
+    return "SITE_CHANGED";
+  }
+}
+
+// the page cannot go on without a human
+class CaptchaRequiredError extends AdsBypasserError {
+  constructor(message = "a captcha must be solved") {
+    super(message);
+  }
+
+  get name() {
+    return "CaptchaRequiredError";
+  }
+
+  get code() {
+    return "CAPTCHA_REQUIRED";
+  }
 }
 
 function forEach(collection, fn) {
@@ -74,32 +123,140 @@ function nop() {}
 
 const none = nop;
 
+// timers AdsBypasser itself depends on, removeAllTimer() in util/misc.js
+// leaves them running
+const ownTimers = new Set();
+
+function keepTimer(handle) {
+  ownTimers.add(handle);
+  return handle;
+}
+
+function releaseTimer(handle) {
+  ownTimers.delete(handle);
+}
+
+function isOwnTimer(handle) {
+  return ownTimers.has(handle);
+}
+
+// the signal of the handler phase running, see runPhase() in
+// util/supervisor.js; when it aborts, the waits the phase started end too
+let phaseSignal = null;
+
+function setPhaseSignal(signal) {
+  phaseSignal = signal;
+}
+
+function getPhaseSignal() {
+  return phaseSignal;
+}
+
+// `start(resolve, reject)` begins the work and returns how to stop it; the
+// promise rejects with TimeoutError after `timeout` ms (0 waits forever) or
+// with the reason of `signal` or of the running phase when either aborts
+function cancellable(start, { timeout = 0, signal } = {}) {
+  const signals = [signal, phaseSignal].filter(Boolean);
+  return new Promise((resolve, reject) => {
+    const aborted = signals.find((s) => s.aborted);
+    if (aborted) {
+      reject(aborted.reason);
+      return;
+    }
+
+    let done = false;
+    let stop = nop;
+    let timer = null;
+    const onAbort = (event) => settle(reject, event.target.reason);
+    const settle = (fn, value) => {
+      if (done) return;
+      done = true;
+      clearTimeout(timer);
+      releaseTimer(timer);
+      for (const s of signals) s.removeEventListener("abort", onAbort);
+      stop();
+      fn(value);
+    };
+
+    if (timeout > 0) {
+      timer = keepTimer(
+        setTimeout(() => settle(reject, new TimeoutError(timeout)), timeout),
+      );
+    }
+    for (const s of signals) s.addEventListener("abort", onAbort);
+    let cleanup = null;
+    try {
+      cleanup = start(
+        (value) => settle(resolve, value),
+        (e) => settle(reject, e),
+      );
+    } catch (e) {
+      settle(reject, e);
+      return;
+    }
+    if (typeof cleanup === "function") {
+      if (done) cleanup();
+      else stop = cleanup;
+    }
+  });
+}
+
 function wait(msDelay) {
-  return new Promise((resolve) => setTimeout(resolve, msDelay));
-}
-
-function tryEvery(msInterval, fn) {
-  return new Promise((resolve) => {
-    const handle = setInterval(() => {
-      const result = fn();
-      if (result !== none) {
-        clearInterval(handle);
-        resolve(result);
-      }
-    }, msInterval);
+  return cancellable((resolve) => {
+    const timer = keepTimer(setTimeout(resolve, msDelay));
+    return () => {
+      clearTimeout(timer);
+      releaseTimer(timer);
+    };
   });
 }
 
+function tryEvery(msInterval, fn, options) {
+  return cancellable((resolve, reject) => {
+    const handle = keepTimer(
+      setInterval(() => {
+        try {
+          const result = fn();
+          if (result !== none) resolve(result);
+        } catch (e) {
+          reject(e);
+        }
+      }, msInterval),
+    );
+    return () => {
+      clearInterval(handle);
+      releaseTimer(handle);
+    };
+  }, options);
+}
+
+// resolves with the first truthy value of `predicate`, checked right away
+async function waitUntil(predicate, { interval = 200, ...options } = {}) {
+  const result = predicate();
+  if (result) return result;
+  return tryEvery(interval, () => predicate() || none, options);
+}
+
 export {
   AdsBypasserError,
+  CaptchaRequiredError,
+  SiteChangedError,
+  TimeoutError,
+  cancellable,
   every,
   find,
   forEach,
+  getPhaseSignal,
+  isOwnTimer,
   isString,
+  keepTimer,
   map,
   none,
   nop,
   partial,
+  releaseTimer,
+  setPhaseSignal,
   tryEvery,
   wait,
+  waitUntil,
 };
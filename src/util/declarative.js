@@ -0,0 +1,105 @@
+// -----------------------------
+// Declarative Handlers
+// -----------------------------
+// `{ rule, click }`, `{ rule, link }` and `{ rule, image }` describe the
+// common "click this" and "open what this points to" handlers as data.
+// `delay` is a fixed sleep before looking at the page, `wait` is the most
+// time to wait for the element to become visible and enabled.
+import { AdsBypasserError, isString } from "util/core.js";
+import { querySelector, waitFor } from "util/dom.js";
+import { openLink } from "util/link.js";
+import { debug } from "util/logger.js";
+import { countdown } from "util/status.js";
+
+const ACTIONS = ["click", "link", "image"];
+const DEFAULT_TIMEOUT = 10000;
+
+// util/image.js is in the full edition only, its namespace plugs it in
+let openImage = null;
+
+function setImageOpener(fn) {
+  openImage = fn;
+}
+
+function isDeclarative(pattern) {
+  return ACTIONS.some((k) => k in pattern);
+}
+
+function validateDeclarative(pattern) {
+  const actions = ACTIONS.filter((k) => k in pattern);
+  if (actions.length !== 1) {
+    throw new AdsBypasserError("needs exactly one of click, link or image");
+  }
+  if (pattern.start || pattern.ready || pattern.rewrite || pattern.resolve) {
+    throw new AdsBypasserError(
+      "cannot mix with start, ready, rewrite or resolve",
+    );
+  }
+
+  const selector = pattern[actions[0]];
+  if (!isString(selector) || !selector) {
+    throw new AdsBypasserError(`\`${actions[0]}\` must be a selector`);
+  }
+
+  for (const key of ["delay", "wait"]) {
+    const v = pattern[key];
+    if (v !== undefined && !(typeof v === "number" && v >= 0)) {
+      throw new AdsBypasserError(`\`${key}\` must be a non-negative number`);
+    }
+  }
+}
+
+// falls back to whatever is there when time is up or the user skips, like a
+// fixed sleep would
+async function waitForReady(selector, timeout) {
+  const controller = new AbortController();
+  const { signal } = controller;
+  try {
+    return await Promise.race([
+      waitFor(selector, { visible: true, enabled: true, signal }),
+      countdown(timeout, { label: `waiting for ${selector}`, signal }).then(
+        () => {
+          debug(`\`${selector}\` is not ready in ${timeout}ms`);
+          return querySelector(selector);
+        },
+      ),
+    ]);
+  } finally {
+    controller.abort();
+  }
+}
+
+async function runDeclarative(pattern) {
+  if (pattern.delay) await countdown(pattern.delay);
+  const timeout = pattern.wait ?? DEFAULT_TIMEOUT;
+
+  if (pattern.click) {
+    const element = await waitForReady(pattern.click, timeout);
+    element.click();
+    return;
+  }
+  if (pattern.link) {
+    const element = await waitForReady(pattern.link, timeout);
+    await openLink(element.href || element.src);
+    return;
+  }
+  if (!openImage) {
+    throw new AdsBypasserError("`image` handlers need the full edition");
+  }
+  const element = await waitForReady(pattern.image, timeout);
+  await openImage(element.src || element.href);
+}
+
+function createDeclarativeHandler(pattern) {
+  validateDeclarative(pattern);
+  return {
+    ready: () => runDeclarative(pattern),
+  };
+}
+
+export {
+  createDeclarativeHandler,
+  isDeclarative,
+  setImageOpener,
+  validateDeclarative,
+};
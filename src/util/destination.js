@@ -0,0 +1,80 @@
+// -----------------------------
+// Destination Lists
+// -----------------------------
+// Entries are domains (`example.com` and `*.example.com` both cover the
+// domain and its subdomains, `*` covers everything, case does not matter) or
+// match patterns like `*://*.example.com/download/*`. The allow list takes
+// precedence, so `*` in the deny list with a few allowed domains only lets
+// those through.
+import { AdsBypasserError } from "util/core.js";
+import { isSubdomain, matchPattern, toPatternURL } from "util/pattern.js";
+import { GMAPI } from "util/platform.js";
+
+class BlockedDestinationError extends AdsBypasserError {
+  constructor(to, entry) {
+    super(`${to} is denied by \`${entry}\``);
+    this._entry = entry;
+  }
+
+  get name() {
+    return "BlockedDestinationError";
+  }
+
+  get code() {
+    return "BLOCKED_DESTINATION";
+  }
+
+  get entry() {
+    return this._entry;
+  }
+}
+
+function matchEntry(entry, url) {
+  if (entry.indexOf("://") >= 0) {
+    return !!matchPattern(entry, toPatternURL(url));
+  }
+  if (entry === "*") return true;
+  // the way wildcard domains are usually typed
+  const domain = entry.replace(/^\*\./, "").toLowerCase();
+  return isSubdomain(new URL(url).hostname.toLowerCase(), domain);
+}
+
+function findEntry(list, url) {
+  return list.find((entry) => matchEntry(entry, url)) || null;
+}
+
+/**
+ * Read the user's allow and deny lists
+ * @returns {Promise<Object>} `{ allowed, denied }`
+ */
+async function loadDestinationLists() {
+  const allowed = (await GMAPI.getValue("allowed_destinations")) || [];
+  const denied = (await GMAPI.getValue("denied_destinations")) || [];
+  return { allowed, denied };
+}
+
+/**
+ * Check a destination against the user's allow and deny lists
+ * @param {string} to - Destination URL
+ * @param {Object} [lists] - From loadDestinationLists(), read when omitted
+ * @returns {Promise<string|null>} The deny list entry blocking it, if any
+ */
+async function findDenyingEntry(to, lists = null) {
+  let url = null;
+  try {
+    url = new URL(to, window.location.href).toString();
+  } catch {
+    return null;
+  }
+
+  const { allowed, denied } = lists || (await loadDestinationLists());
+  if (findEntry(allowed, url)) return null;
+  return findEntry(denied, url);
+}
+
+export {
+  BlockedDestinationError,
+  findDenyingEntry,
+  loadDestinationLists,
+  matchEntry,
+};
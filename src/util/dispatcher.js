@@ -8,11 +8,123 @@ import {
   map,
   every,
 } from "util/core.js";
+import { createDeclarativeHandler, isDeclarative } from "util/declarative.js";
+import { openLink } from "util/link.js";
+import { matchPattern, toPatternURL } from "util/pattern.js";
 
-const patterns = [];
+// an isolated set of handlers, the userscript uses the default one below
+function createRegistry() {
+  const patterns = [];
+  const sites = [];
+  let currentSite = null;
 
-function register(pattern) {
-  patterns.push(pattern);
+  function register(pattern) {
+    pattern.id = currentSite ? currentSite.id : null;
+    patterns.push(pattern);
+  }
+
+  // handlers registered inside `fn` belong to `site`, the build wraps every
+  // site file with this, so the id is derived from the file path
+  function withSite(site, fn) {
+    currentSite = site;
+    sites.push(site);
+    try {
+      fn();
+    } finally {
+      currentSite = null;
+    }
+  }
+
+  function listSites() {
+    return sites.slice().sort((a, b) => a.id.localeCompare(b.id));
+  }
+
+  function getEnabled(disabled) {
+    const disabledSet = new Set(disabled);
+    return patterns.filter(
+      (pattern) => !pattern.id || !disabledSet.has(pattern.id),
+    );
+  }
+
+  function findHandler(disabled = []) {
+    const result = matchURL(window.location, getEnabled(disabled));
+    if (!result) return null;
+
+    const { handler: pattern, match } = result;
+    if (pattern.rewrite) {
+      return {
+        id: pattern.id,
+        start: () => openLink(rewriteURL(pattern.rewrite, window.location)),
+        ready: nop,
+      };
+    }
+    if (isDeclarative(pattern)) {
+      return {
+        id: pattern.id,
+        harden: pattern.harden,
+        start: nop,
+        ...createDeclarativeHandler(pattern),
+      };
+    }
+    if (pattern.resolve && !pattern.start && !pattern.ready) {
+      return {
+        id: pattern.id,
+        harden: pattern.harden,
+        start: nop,
+        ready: async () =>
+          openLink(await pattern.resolve(match, window.location.href)),
+      };
+    }
+    if (!pattern.start && !pattern.ready) return null;
+
+    return {
+      id: pattern.id,
+      harden: pattern.harden,
+      start: pattern.start ? partial(pattern.start, match) : nop,
+      ready: pattern.ready ? partial(pattern.ready, match) : nop,
+    };
+  }
+
+  // thumbnail to full size rules of a site, see toFullSize(); a site only
+  // knows the thumbnails of its own host
+  function listFullSizeRules(id) {
+    if (!id) return [];
+    return patterns
+      .filter((pattern) => pattern.id === id)
+      .flatMap((pattern) => pattern.fullsize || []);
+  }
+
+  function findPattern(url, disabled = []) {
+    return matchURL(url, getEnabled(disabled));
+  }
+
+  // where `url` leads without loading it, for URL transforms and handlers
+  // with `resolve(match, url)`; null when no handler can tell
+  async function resolveHeadless(url, disabled = []) {
+    const result = matchURL(url, getEnabled(disabled));
+    if (!result) return null;
+
+    const { handler: pattern, match } = result;
+    if (pattern.rewrite) {
+      return { id: pattern.id, to: rewriteURL(pattern.rewrite, url) };
+    }
+    if (pattern.resolve) {
+      return { id: pattern.id, to: await pattern.resolve(match, url) };
+    }
+    return null;
+  }
+
+  return {
+    patterns,
+    findHandler,
+    findPattern,
+    listFullSizeRules,
+    listSites,
+    matchURL: (url, patterns_ = patterns) => matchURL(url, patterns_),
+    register,
+    resolveHeadless,
+    withSite,
+  };
 }
 
 function dispatchByObject(rule, urlObj) {
@@ -37,87 +149,187 @@ function dispatchByRegExp(rule, url) {
 }
 
 function dispatchByArray(rules, url1, url3, url6) {
-  const [, , r] = find(rules, (rule) => {
-    const m = dispatch(rule, url1, url3, url6);
-    return m ? m : none;
+  const r = matchRule(rules, url1, url3, url6);
+  return r ? r.match : null;
+}
+
+function dispatchByFunction(rule, url1, url3, url6) {
+  return rule(url1, url3, url6);
+}
+
+function dispatch(rule, url1, url3, url6) {
+  if (Array.isArray(rule)) return dispatchByArray(rule, url1, url3, url6);
+  if (typeof rule === "function")
+    return dispatchByFunction(rule, url1, url3, url6);
+  if (rule instanceof RegExp) return dispatchByRegExp(rule, url1);
+  if (isString(rule)) return matchPattern(rule, url3);
+  return dispatchByObject(rule, url6);
+}
+
+function getRawQuery(url, name) {
+  const pairs = url.search.slice(1).split("&");
+  const [, , value] = find(pairs, (pair) => {
+    const idx = pair.indexOf("=");
+    if (idx < 0 || pair.slice(0, idx) !== name) return none;
+    return pair.slice(idx + 1);
   });
-  return r !== none ? r : null;
+  return value === none ? null : value;
 }
 
-function dispatchByString(rule, urlObj) {
-  const schemeRegex = /\*|https?|file|ftp|chrome-extension/;
-  const hostRegex = /\*|(\*\.)?([^/*]+)/;
-  const pathRegex = /\/.*/;
+/**
+ * Compute the destination of a declarative URL transform handler
+ * @param {Object} rewrite - `{ fromQuery, replace, decode }`, applied in
+ *   this order: take the raw value of a query parameter instead of the
+ *   whole URL, run each `[pattern, replacement]` through
+ *   `String.prototype.replace`, then decode with `"base64"` or `"uri"`
+ * @param {string|URL|Location} url - URL of the page
+ * @returns {string} The destination
+ */
+function rewriteURL(rewrite, url) {
+  const u = new URL(url.toString());
+  let to = u.toString();
+
+  if (rewrite.fromQuery) {
+    to = getRawQuery(u, rewrite.fromQuery);
+    if (to === null) {
+      throw new AdsBypasserError(`query \`${rewrite.fromQuery}\` not found`);
+    }
+  }
 
-  const tmp = `^(${schemeRegex.source})://(${hostRegex.source})?(${pathRegex.source})$`;
-  const up = new RegExp(tmp);
-  const matched = rule.match(up);
-  if (!matched) return null;
+  for (const [pattern, replacement] of rewrite.replace || []) {
+    to = to.replace(pattern, replacement);
+  }
 
-  const [, scheme, host, wc, sd, path] = matched;
+  if (rewrite.decode === "base64") {
+    to = atob(to);
+  } else if (rewrite.decode === "uri") {
+    to = decodeURIComponent(to);
+  } else if (rewrite.decode) {
+    throw new AdsBypasserError(`invalid decoder \`${rewrite.decode}\``);
+  }
 
-  if (
-    (scheme === "*" && !/https?/.test(urlObj.scheme)) ||
-    scheme !== urlObj.scheme
-  )
-    return null;
+  return to;
+}
 
-  if (scheme !== "file" && host !== "*") {
-    if (wc) {
-      const idx = urlObj.host.indexOf(sd);
-      if (idx < 0 || idx + sd.length !== urlObj.host.length) return null;
-    } else if (host !== urlObj.host) return null;
+/**
+ * Check the `fullsize` rules of a handler
+ * @param {Array} rules - `[pattern, replacement]` pairs
+ * @throws {AdsBypasserError} If they are malformed
+ */
+function validateFullSize(rules) {
+  if (!Array.isArray(rules)) {
+    throw new AdsBypasserError("`fullsize` must be a list");
   }
+  for (const rule of rules) {
+    const [pattern, replacement] = Array.isArray(rule) ? rule : [];
+    const replaceable =
+      typeof replacement === "string" || typeof replacement === "function";
+    if (!(pattern instanceof RegExp) || !replaceable) {
+      throw new AdsBypasserError("`fullsize` needs `[pattern, replacement]`");
+    }
+  }
+}
 
-  const pathRegexFinal = new RegExp(
-    `^${path.replace(/[*.[\]?+#]/g, (c) => (c === "*" ? ".*" : "\\" + c))}$`,
-  );
-  if (!pathRegexFinal.test(urlObj.path)) return null;
+/**
+ * Upgrade a thumbnail or scaled image URL to the original one
+ *
+ * Image hosts list how their thumbnails map to the originals in `fullsize`,
+ * as `[pattern, replacement]` pairs run through `String.prototype.replace`
+ * on the whole image URL, like `rewrite.replace`.
+ * @param {string} imgSrc - Image URL
+ * @param {Array} rules - `fullsize` rules of the host
+ * @returns {string} The full size URL, or `imgSrc` when no rule applies
+ */
+function toFullSize(imgSrc, rules) {
+  if (!imgSrc) return imgSrc;
+  let to = imgSrc;
+  for (const [pattern, replacement] of rules) {
+    to = to.replace(pattern, replacement);
+  }
+  return to;
+}
+
+// the `fullsize` rules of the site whose handler runs on the page, set by
+// main() once it found the handler
+let pageFullSize = [];
 
-  return urlObj;
+function setPageFullSize(rules) {
+  pageFullSize = rules;
 }
 
-function dispatchByFunction(rule, url1, url3, url6) {
-  return rule(url1, url3, url6);
+function getPageFullSize() {
+  return pageFullSize;
 }
 
-function dispatch(rule, url1, url3, url6) {
-  if (Array.isArray(rule)) return dispatchByArray(rule, url1, url3, url6);
-  if (typeof rule === "function")
-    return dispatchByFunction(rule, url1, url3, url6);
-  if (rule instanceof RegExp) return dispatchByRegExp(rule, url1);
-  if (isString(rule)) return dispatchByString(rule, url3);
-  return dispatchByObject(rule, url6);
+// returns the innermost rule that fired along with its match
+function matchRule(rule, url1, url3, url6) {
+  if (Array.isArray(rule)) {
+    const [, , r] = find(rule, (subRule) => {
+      const m = matchRule(subRule, url1, url3, url6);
+      return m ? m : none;
+    });
+    return r !== none ? r : null;
+  }
+  const match = dispatch(rule, url1, url3, url6);
+  return match ? { rule, match } : null;
 }
 
-function findHandler() {
-  const url1 = window.location.toString();
-  const url3 = {
-    scheme: window.location.protocol.slice(0, -1),
-    host: window.location.host,
-    path:
-      window.location.pathname + window.location.search + window.location.hash,
-  };
+function parseURL(url) {
+  const u = new URL(url.toString());
+  const url1 = u.toString();
+  const url3 = toPatternURL(u);
   const url6 = {
-    scheme: window.location.protocol,
-    host: window.location.hostname,
-    port: window.location.port,
-    path: window.location.pathname,
-    query: window.location.search,
-    hash: window.location.hash,
+    scheme: u.protocol,
+    host: u.hostname,
+    port: u.port,
+    path: u.pathname,
+    query: u.search,
+    hash: u.hash,
   };
+  return [url1, url3, url6];
+}
 
-  const [i, pattern, matched] = find(patterns, (pattern) => {
-    const m = dispatch(pattern.rule, url1, url3, url6);
+/**
+ * Find the first handler whose rule matches `url`
+ * @param {string|URL|Location} url - Absolute URL to match
+ * @param {Object[]} [patterns_] - Handlers to search, defaults to the
+ *   registered ones
+ * @returns {Object|null} `{ handler, match, rule }`
+ */
+function matchURL(url, patterns_ = registry.patterns) {
+  const urls = parseURL(url);
+  const [, handler, r] = find(patterns_, (pattern) => {
+    const m = matchRule(pattern.rule, ...urls);
     return m ? m : none;
   });
-  if (i === none) return null;
-  if (!pattern.start && !pattern.ready) return null;
-
-  return {
-    start: pattern.start ? partial(pattern.start, matched) : nop,
-    ready: pattern.ready ? partial(pattern.ready, matched) : nop,
-  };
+  if (handler === none) return null;
+  return { handler, match: r.match, rule: r.rule };
 }
 
-export { register, findHandler };
+const registry = createRegistry();
+const {
+  findHandler,
+  findPattern,
+  listFullSizeRules,
+  listSites,
+  register,
+  resolveHeadless,
+  withSite,
+} = registry;
+
+export {
+  createRegistry,
+  findHandler,
+  findPattern,
+  getPageFullSize,
+  listFullSizeRules,
+  listSites,
+  matchURL,
+  register,
+  resolveHeadless,
+  rewriteURL,
+  setPageFullSize,
+  toFullSize,
+  validateFullSize,
+  withSite,
+};
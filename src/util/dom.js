@@ -1,14 +1,31 @@
-import { AdsBypasserError, isString, forEach, find, none } from "util/core.js";
+import {
+  AdsBypasserError,
+  cancellable,
+  find,
+  forEach,
+  isString,
+  nop,
+  none,
+} from "util/core.js";
 import { debug } from "util/logger.js";
 
 class DomNotFoundError extends AdsBypasserError {
   constructor(selector) {
     super(`\`${selector}\` not found`);
+    this._selector = selector;
   }
 
   get name() {
     return "DomNotFoundError";
   }
+
+  get code() {
+    return "SELECTOR_NOT_FOUND";
+  }
+
+  get selector() {
+    return this._selector;
+  }
 }
 
 function querySelector(selector, context) {
@@ -72,6 +89,61 @@ function block(selector, context = document) {
   });
 }
 
+function isVisible(element) {
+  const view = element.ownerDocument.defaultView;
+  for (let e = element; e; e = e.parentElement) {
+    if (view.getComputedStyle(e).display === "none") return false;
+  }
+  return view.getComputedStyle(element).visibility !== "hidden";
+}
+
+function isEnabled(element) {
+  return !element.disabled && !element.classList.contains("disabled");
+}
+
+// resolves with the element as soon as it matches every condition;
+// `attribute` names one that must be present and non-empty, e.g. an `href`
+// filled in by the page
+function waitFor(
+  selector,
+  {
+    context,
+    visible = false,
+    enabled = false,
+    attribute = null,
+    ...options
+  } = {},
+) {
+  if (!context || !context.querySelector) context = document;
+  const check = () => {
+    const node = querySelectorOrNull(selector, context);
+    if (!node) return null;
+    if (visible && !isVisible(node)) return null;
+    if (enabled && !isEnabled(node)) return null;
+    if (attribute && !node.getAttribute(attribute)) return null;
+    return node;
+  };
+
+  return cancellable((resolve) => {
+    const node = check();
+    if (node) {
+      resolve(node);
+      return nop;
+    }
+
+    const observer = new MutationObserver(() => {
+      const node = check();
+      if (node) resolve(node);
+    });
+    observer.observe(context, {
+      attributes: true,
+      childList: true,
+      subtree: true,
+    });
+    return () => observer.disconnect();
+  }, options);
+}
+
 function searchFromScriptsByRegExp(pattern, context) {
   const scripts = querySelectorAll("script", context);
   const [, , m] = find(scripts, (s) => {
@@ -98,6 +170,7 @@ function searchFromScripts(pattern, context) {
 }
 
 export {
+  DomNotFoundError,
   block,
   querySelector,
   querySelectorAll,
@@ -105,4 +178,5 @@ export {
   remove,
   searchFromScripts,
   toDOM,
+  waitFor,
 };
@@ -0,0 +1,224 @@
+// -----------------------------
+// Image Download
+// -----------------------------
+// Saves the images of replaced pages under a meaningful name. GM_download
+// comes first since it can save cross-origin images, the fallback fetches
+// the image in the background and saves it from the page.
+import { getBlob } from "util/ajax.js";
+import { debug, info, warn } from "util/logger.js";
+import { GMAPI } from "util/platform.js";
+import { createZip } from "util/zip.js";
+
+const IMAGE_NAME = /\.(avif|bmp|gif|jpe?g|png|svg|webp)$/i;
+const DEFAULT_EXTENSION = ".jpg";
+const MAX_NAME = 120;
+
+const TOOLBAR_STYLE = `
+  position: fixed; left: 8px; bottom: 8px; z-index: 1;
+  display: flex; gap: 4px; padding: 4px; border-radius: 4px;
+  background: rgba(0, 0, 0, 0.5); line-height: normal;
+`;
+
+function sanitize(name) {
+  return name
+    .replace(/[\\/:*?"<>|\p{Cc}]+/gu, "_")
+    .replace(/\s+/g, " ")
+    .trim()
+    .slice(0, MAX_NAME);
+}
+
+function lastSegment(url) {
+  const segment = new URL(url, window.location.href).pathname.split("/").pop();
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    return segment;
+  }
+}
+
+// the title of the page, without what AdsBypasser added to it
+function getTitle() {
+  return document.title.replace(/ - AdsBypasser$/, "");
+}
+
+/**
+ * Name an image after where it comes from: its original file name if the
+ * URL has one, or the title and the image id of its page
+ * @param {string} src - Image URL
+ * @param {Object} [options]
+ * @param {string} [options.page] - Page showing the image
+ * @param {string} [options.title] - Title of the page
+ * @returns {string} File name with an extension
+ */
+function getFilename(
+  src,
+  { page = window.location.href, title = getTitle() } = {},
+) {
+  const original = lastSegment(src);
+  if (IMAGE_NAME.test(original)) return sanitize(original);
+
+  const id = lastSegment(page).replace(/\.\w+$/, "");
+  const name = sanitize([title, id].filter(Boolean).join(" - "));
+  return (name || "image") + DEFAULT_EXTENSION;
+}
+
+function saveBlob(blob, name) {
+  const a = document.createElement("a");
+  a.href = URL.createObjectURL(blob);
+  a.download = name;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(a.href), 0);
+}
+
+async function fetchBytes(src) {
+  const blob = await getBlob(src);
+  return new Uint8Array(await blob.arrayBuffer());
+}
+
+/**
+ * Save an image to the disk
+ * @param {string} src - Image URL
+ * @param {string} name - File name
+ * @returns {Promise}
+ */
+async function saveImage(src, name) {
+  if (GMAPI.download) {
+    try {
+      await GMAPI.download({
+        url: src,
+        name,
+        headers: { Referer: window.location.href },
+      });
+      return;
+    } catch (e) {
+      debug("GM download failed, fetching the image instead", e);
+    }
+  }
+  saveBlob(await getBlob(src), name);
+}
+
+/**
+ * Save every image of a gallery, one after another or in a zip archive
+ * @param {Object} gallery - See createGallery() in util/gallery.js
+ * @param {Object} [options]
+ * @param {boolean} [options.zip] - Whether to pack them in one archive
+ * @param {Function} [options.onProgress] - Called with `(done, total)`
+ * @returns {Promise<Object>} `{ saved, failed }` counts
+ */
+async function downloadGallery(gallery, { zip = false, onProgress } = {}) {
+  const { items } = gallery;
+  const title = getTitle();
+  const digits = String(items.length).length;
+  const files = [];
+  let failed = 0;
+
+  for (let i = 0; i < items.length; ++i) {
+    try {
+      const src = await gallery.getImage(i);
+      // numbered so the files sort like the gallery
+      const number = String(i + 1).padStart(digits, "0");
+      const name = `${number} ${getFilename(src, { page: items[i].page, title })}`;
+      if (zip) {
+        files.push({ name, data: await fetchBytes(src) });
+      } else {
+        await saveImage(src, name);
+      }
+    } catch (e) {
+      warn(`cannot download image ${i + 1}`, e);
+      ++failed;
+    }
+    if (onProgress) onProgress(i + 1, items.length);
+  }
+
+  if (zip && files.length > 0) {
+    saveBlob(createZip(files), `${sanitize(title) || "gallery"}.zip`);
+  }
+  info(`downloaded ${items.length - failed} of ${items.length} images`);
+  return { saved: items.length - failed, failed };
+}
+
+// -----------------------------
+// Controls
+// -----------------------------
+function createButton(name, label, title, onClick) {
+  const button = document.createElement("button");
+  button.type = "button";
+  button.name = name;
+  button.textContent = label;
+  button.title = title;
+  button.addEventListener("click", onClick);
+  return button;
+}
+
+/**
+ * Add the download buttons and keys to a page replaced by replaceBody()
+ *
+ * `d` saves the shown image, `D` saves the whole gallery as a zip.
+ * @param {HTMLElement} wrapper - Element holding `img`
+ * @param {HTMLImageElement} img
+ * @param {Object} [gallery] - See createGallery() in util/gallery.js
+ */
+function showDownloads(wrapper, img, gallery) {
+  const toolbar = document.createElement("div");
+  toolbar.style.cssText = TOOLBAR_STYLE;
+
+  let busy = false;
+  const saveCurrent = () =>
+    saveImage(img.src, getFilename(img.src)).catch((e) =>
+      warn("cannot download the image", e),
+    );
+  const saveAll = async (zip, button) => {
+    if (busy) return;
+    busy = true;
+    const label = button.textContent;
+    try {
+      await downloadGallery(gallery, {
+        zip,
+        onProgress: (done, total) => {
+          button.textContent = `${label} (${done}/${total})`;
+        },
+      });
+    } finally {
+      button.textContent = label;
+      busy = false;
+    }
+  };
+
+  toolbar.appendChild(
+    createButton("download", "Download", "Download (d)", saveCurrent),
+  );
+  let zipButton = null;
+  if (gallery) {
+    const allButton = createButton(
+      "download-all",
+      "Download all",
+      "Download every image",
+      () => saveAll(false, allButton),
+    );
+    zipButton = createButton(
+      "download-zip",
+      "Download zip",
+      "Download every image in a zip (D)",
+      () => saveAll(true, zipButton),
+    );
+    toolbar.appendChild(allButton);
+    toolbar.appendChild(zipButton);
+  }
+  wrapper.appendChild(toolbar);
+
+  document.addEventListener("keydown", (event) => {
+    if (event.ctrlKey || event.metaKey || event.altKey) return;
+    if (event.key === "d") {
+      saveCurrent();
+    } else if (event.key === "D" && zipButton) {
+      saveAll(true, zipButton);
+    } else {
+      return;
+    }
+    event.preventDefault();
+  });
+}
+
+export { downloadGallery, getFilename, saveImage, showDownloads };
@@ -0,0 +1,192 @@
+// -----------------------------
+// Image Gallery
+// -----------------------------
+// Shows the images of a multi-image page one at a time in the body replaced
+// by openGallery(), with previous/next navigation and a thumbnail strip.
+// Image URLs are resolved when first needed, and the neighbors of the shown
+// image are resolved and downloaded ahead.
+import { AdsBypasserError, isString } from "util/core.js";
+import { debug, warn } from "util/logger.js";
+
+// neighbors on each side
+const PREFETCH = 1;
+const STRIP_HEIGHT = 72;
+
+const STRIP_STYLE = `
+  position: fixed; left: 0; right: 0; top: 0; z-index: 1;
+  display: flex; gap: 4px; padding: 4px; height: ${STRIP_HEIGHT - 8}px;
+  overflow-x: auto; overflow-y: hidden; background: rgba(0, 0, 0, 0.5);
+  line-height: normal;
+`;
+const THUMB_STYLE = "flex: none; padding: 0; border: 2px solid transparent;";
+const NAV_STYLE = `
+  position: fixed; top: 50%; z-index: 1; padding: 12px 8px;
+  font-size: 24px; line-height: normal; opacity: 0.7;
+`;
+
+/**
+ * Keep the images of a gallery and where to get them from
+ * @param {Array<string|Object>} items - Page URLs, or `{ page, image,
+ *   thumb }` where `image` spares resolving `page`
+ * @param {Object} [options]
+ * @param {Function} [options.resolve] - `async (page) => image URL`
+ * @returns {Object} `{ items, getImage(index), prefetch(index) }`
+ */
+function createGallery(items, { resolve } = {}) {
+  items = items.map((item) => (isString(item) ? { page: item } : item));
+  if (items.length === 0) {
+    throw new AdsBypasserError("the gallery is empty");
+  }
+  const cache = new Map();
+
+  function getImage(index) {
+    const item = items[index];
+    if (item.image) return Promise.resolve(item.image);
+    if (!resolve) {
+      return Promise.reject(
+        new AdsBypasserError(`no way to resolve \`${item.page}\``),
+      );
+    }
+    if (!cache.has(index)) {
+      const promise = Promise.resolve(resolve(item.page));
+      // let a failed one be tried again
+      promise.catch(() => cache.delete(index));
+      cache.set(index, promise);
+    }
+    return cache.get(index);
+  }
+
+  function prefetch(index) {
+    for (let d = -PREFETCH; d <= PREFETCH; ++d) {
+      const i = index + d;
+      if (d === 0 || i < 0 || i >= items.length) continue;
+      getImage(i).then(
+        (src) => {
+          const preload = document.createElement("img");
+          preload.src = src;
+        },
+        (e) => debug(`cannot prefetch image ${i}`, e),
+      );
+    }
+  }
+
+  return { items, getImage, prefetch };
+}
+
+// keeps the address pointing at what is shown, so reloading stays there
+function updateAddress(page) {
+  if (!page) return;
+  try {
+    const url = new URL(page, window.location.href);
+    if (url.origin !== window.location.origin) return;
+    window.history.replaceState(null, "", url.toString());
+  } catch (e) {
+    debug("cannot update the address", e);
+  }
+}
+
+function createStrip(gallery, onSelect) {
+  const strip = document.createElement("div");
+  strip.style.cssText = STRIP_STYLE;
+  // let the strip scroll instead of zooming the image
+  strip.addEventListener("wheel", (event) => event.stopPropagation());
+
+  const thumbs = gallery.items.map((item, index) => {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.style.cssText = THUMB_STYLE;
+    button.title = `${index + 1} / ${gallery.items.length}`;
+    if (item.thumb) {
+      const img = document.createElement("img");
+      img.src = item.thumb;
+      img.style.height = `${STRIP_HEIGHT - 12}px`;
+      button.appendChild(img);
+    } else {
+      button.textContent = String(index + 1);
+    }
+    button.addEventListener("click", () => onSelect(index));
+    strip.appendChild(button);
+    return button;
+  });
+
+  return { strip, thumbs };
+}
+
+function createNavButton(name, label, side, onClick) {
+  const button = document.createElement("button");
+  button.type = "button";
+  button.name = name;
+  button.textContent = label;
+  button.style.cssText = `${NAV_STYLE} ${side}: 8px;`;
+  button.addEventListener("click", onClick);
+  return button;
+}
+
+/**
+ * Turn an image shown by replaceBody() into a gallery
+ * @param {HTMLElement} wrapper - Element holding `img`
+ * @param {HTMLImageElement} img
+ * @param {Object} gallery - See createGallery()
+ * @param {number} [start] - Index shown first
+ * @returns {Object} `{ index, show(index), next(), previous() }`
+ */
+function showGallery(wrapper, img, gallery, start = 0) {
+  const { items } = gallery;
+  let index = -1;
+
+  const { strip, thumbs } = createStrip(gallery, (i) => show(i));
+
+  async function show(i) {
+    i = Math.max(0, Math.min(items.length - 1, i));
+    if (i === index) return;
+
+    if (index >= 0) thumbs[index].style.borderColor = "transparent";
+    index = i;
+    thumbs[i].style.borderColor = "#fff";
+    thumbs[i].scrollIntoView?.({ inline: "center", block: "nearest" });
+    gallery.prefetch(i);
+
+    try {
+      const src = await gallery.getImage(i);
+      // the user has moved on meanwhile
+      if (i !== index) return;
+      img.src = src;
+      updateAddress(items[i].page);
+    } catch (e) {
+      warn(`cannot load image ${i + 1}`, e);
+    }
+  }
+
+  const controls = {
+    get index() {
+      return index;
+    },
+    show,
+    next: () => show(index + 1),
+    previous: () => show(index - 1),
+  };
+
+  wrapper.appendChild(strip);
+  wrapper.appendChild(
+    createNavButton("previous", "‹", "left", controls.previous),
+  );
+  wrapper.appendChild(createNavButton("next", "›", "right", controls.next));
+  document.body.style.paddingTop = `${STRIP_HEIGHT}px`;
+
+  document.addEventListener("keydown", (event) => {
+    if (event.ctrlKey || event.metaKey || event.altKey) return;
+    if (event.key === "n" || event.key === "PageDown") {
+      controls.next();
+    } else if (event.key === "p" || event.key === "PageUp") {
+      controls.previous();
+    } else {
+      return;
+    }
+    event.preventDefault();
+  });
+
+  show(start);
+  return controls;
+}
+
+export { createGallery, showGallery };
@@ -0,0 +1,206 @@
+// -----------------------------
+// Page Hardening
+// -----------------------------
+// Opt-in countermeasures a handler enables with `harden` in its pattern,
+// either a list of names or an object mapping names to their option:
+//
+//   harden: ["popunder", "adblock"]
+//   harden: { overlay: ".modal, #cover", redirect: ["ads.example"] }
+//
+// Each runs before the page loads, after it, or both.
+import { AdsBypasserError, isString, nop } from "util/core.js";
+import { block, remove } from "util/dom.js";
+import { matchEntry } from "util/destination.js";
+import { debug, info } from "util/logger.js";
+import { GMAPI, usw } from "util/platform.js";
+
+// what popunder scripts listen to on the whole page
+const TRAP_EVENTS = [
+  "auxclick",
+  "click",
+  "mousedown",
+  "mouseup",
+  "pointerdown",
+  "pointerup",
+  "touchend",
+  "touchstart",
+];
+
+// the usual full page covers of shorteners
+const OVERLAY_SELECTOR = [
+  '[class$="Overlay"]',
+  "#__random_class_name__",
+  "#headlineatas",
+  "#myModal",
+  ".opacity_wrapper",
+  "#overlay",
+].join(", ");
+
+// globals the common adblock detectors report through or are built on
+const DETECTOR_FLAGS = {
+  adBlockDetected: false,
+  adblock: false,
+  canRunAds: true,
+  isAdBlockActive: false,
+};
+const DETECTOR_NAMES = ["blockAdBlock", "fuckAdBlock", "sniffAdBlock"];
+const DETECTOR_CLASSES = ["BlockAdBlock", "FuckAdBlock", "SniffAdBlock"];
+
+// keeps the page from setting `key` on `target` later on
+function seal(target, key, value) {
+  try {
+    usw.Object.defineProperty(target, key, {
+      configurable: true,
+      enumerable: false,
+      get: () => value,
+      set: () => debug(`blocked setting \`${key}\``),
+    });
+  } catch {
+    debug(`cannot seal \`${key}\``);
+  }
+}
+
+// -----------------------------
+// Popunders
+// -----------------------------
+function guardClicks(target) {
+  if (!target) return;
+
+  const originalAddEventListener = target.addEventListener;
+  target.addEventListener = function (type) {
+    if (TRAP_EVENTS.indexOf(type) >= 0) {
+      info(`blocked a page wide ${type} listener`);
+      return;
+    }
+    return originalAddEventListener.apply(this, arguments);
+  };
+  for (const type of TRAP_EVENTS) {
+    seal(target, `on${type}`, null);
+  }
+}
+
+// -----------------------------
+// Adblock Detectors
+// -----------------------------
+function createDetector() {
+  // reports "not detected" to whatever the page hooks up
+  const detector = {
+    check: () => false,
+    clearEvent: nop,
+    emitEvent: () => detector,
+    on: (detected, fn) => (detected ? detector : detector.onNotDetected(fn)),
+    onDetected: () => detector,
+    onNotDetected: (fn) => {
+      setTimeout(fn, 0);
+      return detector;
+    },
+    setOption: () => detector,
+  };
+  return detector;
+}
+
+function fakeDetectors() {
+  for (const [key, value] of Object.entries(DETECTOR_FLAGS)) {
+    seal(usw, key, value);
+  }
+  for (const key of DETECTOR_NAMES) {
+    seal(usw, key, createDetector());
+  }
+  for (const key of DETECTOR_CLASSES) {
+    seal(usw, key, createDetector);
+  }
+}
+
+// -----------------------------
+// Redirects
+// -----------------------------
+// `location` itself cannot be patched, so this relies on the Navigation API
+// and does nothing in browsers without it
+async function blockRedirects(entries) {
+  const navigation = usw.navigation;
+  if (!navigation) {
+    debug("navigation API is not available, cannot block redirects");
+    return;
+  }
+
+  const allowed = (await GMAPI.getValue("allowed_destinations")) || [];
+  const denied = [
+    ...((await GMAPI.getValue("denied_destinations")) || []),
+    ...(Array.isArray(entries) ? entries : []),
+  ];
+
+  navigation.addEventListener("navigate", (event) => {
+    const url = event.destination.url;
+    if (!event.cancelable || allowed.some((e) => matchEntry(e, url))) return;
+    if (!denied.some((e) => matchEntry(e, url))) return;
+    info(`blocked a redirect to ${url}`);
+    event.preventDefault();
+  });
+}
+
+// -----------------------------
+// Overlays
+// -----------------------------
+function removeOverlays(selector) {
+  if (!isString(selector)) selector = OVERLAY_SELECTOR;
+
+  remove(selector);
+  block(selector, document.body);
+
+  setInterval(() => {
+    document.body.style.overflow = "initial";
+  }, 500);
+}
+
+const HARDENERS = {
+  adblock: { start: fakeDetectors },
+  overlay: { ready: removeOverlays },
+  popunder: {
+    start: () => {
+      guardClicks(usw);
+      guardClicks(usw.document);
+    },
+    ready: () => guardClicks(usw.document.body),
+  },
+  redirect: { start: blockRedirects },
+};
+
+function normalize(spec) {
+  if (Array.isArray(spec)) return spec.map((name) => [name, true]);
+  return Object.entries(spec);
+}
+
+function validateHardening(spec) {
+  if (!spec || typeof spec !== "object") {
+    throw new AdsBypasserError("`harden` must be a list or an object");
+  }
+  for (const [name, option] of normalize(spec)) {
+    if (!Object.hasOwn(HARDENERS, name)) {
+      throw new AdsBypasserError(`unknown hardening \`${name}\``);
+    }
+    if (name === "overlay" && option !== true && !isString(option)) {
+      throw new AdsBypasserError("`overlay` must be true or a selector");
+    }
+    if (name === "redirect" && option !== true && !Array.isArray(option)) {
+      throw new AdsBypasserError("`redirect` must be true or a list");
+    }
+  }
+}
+
+/**
+ * Apply the countermeasures of a handler for a phase
+ * @param {Array|Object} [spec] - `harden` of the handler pattern
+ * @param {string} phase - `"start"` or `"ready"`
+ * @returns {Promise}
+ */
+async function applyHardening(spec, phase) {
+  if (!spec) return;
+  validateHardening(spec);
+
+  for (const [name, option] of normalize(spec)) {
+    const fn = HARDENERS[name][phase];
+    if (fn) await fn(option);
+  }
+}
+
+export { applyHardening, validateHardening };
@@ -0,0 +1,220 @@
+// -----------------------------
+// Bypass History
+// -----------------------------
+import { forEach } from "util/core.js";
+import { GMAPI } from "util/platform.js";
+
+const HISTORY_KEY = "history";
+const HISTORY_SIZE = 200;
+const FIELDS = [
+  "time",
+  "from",
+  "to",
+  "handler",
+  "duration",
+  "outcome",
+  "code",
+  "reason",
+];
+
+let session = null;
+
+function startSession(handlerId) {
+  session = {
+    handler: handlerId || null,
+    from: window.location.toString(),
+    start: Date.now(),
+  };
+}
+
+async function loadHistory() {
+  const history = await GMAPI.getValue(HISTORY_KEY);
+  return Array.isArray(history) ? history : [];
+}
+
+async function clearHistory() {
+  await GMAPI.setValue(HISTORY_KEY, []);
+}
+
+async function record(outcome, to, reason) {
+  if (!session) return;
+
+  const now = Date.now();
+  const entry = {
+    time: new Date(now).toISOString(),
+    from: session.from,
+    to: to || "",
+    handler: session.handler,
+    duration: now - session.start,
+    outcome,
+    code: reason?.code || "",
+    reason: reason ? String(reason) : "",
+  };
+  // only the first outcome of a page is interesting
+  session = null;
+
+  const history = await loadHistory();
+  history.push(entry);
+  await GMAPI.setValue(HISTORY_KEY, history.slice(-HISTORY_SIZE));
+}
+
+function recordSuccess(to) {
+  return record("success", to);
+}
+
+function recordFailure(reason) {
+  return record("failure", "", reason);
+}
+
+function toCSV(history) {
+  const quote = (v) => `"${String(v ?? "").replace(/"/g, '""')}"`;
+  const rows = history.map((entry) => FIELDS.map((k) => quote(entry[k])));
+  return [FIELDS, ...rows].map((row) => row.join(",")).join("\r\n");
+}
+
+function download(filename, type, content) {
+  const a = document.createElement("a");
+  a.href = URL.createObjectURL(new Blob([content], { type }));
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(a.href), 0);
+}
+
+// -----------------------------
+// History Panel
+// -----------------------------
+const PANEL_STYLE = `
+  :host { all: initial; }
+  .panel {
+    position: fixed; inset: 5% 5%; z-index: 2147483647;
+    display: flex; flex-direction: column;
+    background: #fff; color: #222; font: 13px/1.4 sans-serif;
+    border: 1px solid #888; border-radius: 6px;
+    box-shadow: 0 4px 24px rgba(0, 0, 0, 0.4);
+  }
+  .toolbar { display: flex; gap: 6px; padding: 8px; border-bottom: 1px solid #ddd; }
+  .toolbar input { flex: 1; }
+  .body { flex: 1; overflow: auto; }
+  table { width: 100%; border-collapse: collapse; }
+  th, td { padding: 4px 6px; border-bottom: 1px solid #eee; text-align: left; }
+  td { word-break: break-all; }
+  tr.failure td { color: #b00; }
+`;
+
+const PANEL_HTML = `
+  <div class="panel">
+    <div class="toolbar">
+      <input type="search" name="keyword" placeholder="Filter" />
+      <select name="outcome">
+        <option value="">all</option>
+        <option value="success">success</option>
+        <option value="failure">failure</option>
+      </select>
+      <button name="json">JSON</button>
+      <button name="csv">CSV</button>
+      <button name="clear">Clear</button>
+      <button name="close">Close</button>
+    </div>
+    <div class="body">
+      <table>
+        <thead>
+          <tr>
+            <th>Time</th><th>From</th><th>To</th><th>Handler</th>
+            <th>Duration</th><th>Outcome</th>
+          </tr>
+        </thead>
+        <tbody></tbody>
+      </table>
+    </div>
+  </div>
+`;
+
+function renderRows(tbody, history, keyword, outcome) {
+  tbody.textContent = "";
+  keyword = keyword.toLowerCase();
+
+  const filtered = history.filter((entry) => {
+    if (outcome && entry.outcome !== outcome) return false;
+    const text = [entry.from, entry.to, entry.handler, entry.reason]
+      .join(" ")
+      .toLowerCase();
+    return text.indexOf(keyword) >= 0;
+  });
+
+  forEach(filtered.slice().reverse(), (entry) => {
+    const tr = document.createElement("tr");
+    tr.className = entry.outcome;
+    const cells = [
+      entry.time,
+      entry.from,
+      entry.to || entry.reason,
+      entry.handler || "",
+      `${(entry.duration / 1000).toFixed(1)}s`,
+      entry.outcome,
+    ];
+    forEach(cells, (text) => {
+      const td = document.createElement("td");
+      td.textContent = text;
+      tr.appendChild(td);
+    });
+    tbody.appendChild(tr);
+  });
+
+  return filtered;
+}
+
+async function showHistory() {
+  const history = await loadHistory();
+
+  const host = document.createElement("div");
+  const root = host.attachShadow({ mode: "open" });
+  const style = document.createElement("style");
+  style.textContent = PANEL_STYLE;
+  root.appendChild(style);
+  const container = document.createElement("div");
+  container.innerHTML = PANEL_HTML;
+  root.appendChild(container);
+  document.documentElement.appendChild(host);
+
+  const field = (name) => root.querySelector(`[name="${name}"]`);
+  const tbody = root.querySelector("tbody");
+  let filtered = [];
+  const update = () => {
+    filtered = renderRows(
+      tbody,
+      history,
+      field("keyword").value,
+      field("outcome").value,
+    );
+  };
+
+  field("keyword").addEventListener("input", update);
+  field("outcome").addEventListener("change", update);
+  field("json").addEventListener("click", () => {
+    const content = JSON.stringify(filtered, null, 2);
+    download("adsbypasser-history.json", "application/json", content);
+  });
+  field("csv").addEventListener("click", () => {
+    download("adsbypasser-history.csv", "text/csv", toCSV(filtered));
+  });
+  field("clear").addEventListener("click", async () => {
+    await clearHistory();
+    history.length = 0;
+    update();
+  });
+  field("close").addEventListener("click", () => host.remove());
+
+  update();
+}
+
+export {
+  clearHistory,
+  loadHistory,
+  recordFailure,
+  recordSuccess,
+  showHistory,
+  startSession,
+  toCSV,
+};
@@ -1,22 +1,126 @@
-import { openLink } from "util/link.js";
+import { getPageFullSize, toFullSize } from "util/dispatcher.js";
 import { remove } from "util/dom.js";
+import { showDownloads } from "util/download.js";
+import { createGallery, showGallery } from "util/gallery.js";
+import { recordFailure } from "util/history.js";
+import { confirmDestination } from "util/interstitial.js";
+import { openLink } from "util/link.js";
 import { warn, info } from "util/logger.js";
 import { removeAllTimer } from "util/misc.js";
+import { showNotice } from "util/notice.js";
 import { GMAPI } from "util/platform.js";
+import { ImageUnavailableError, verifyImage } from "util/probe.js";
+import { showViewer } from "util/viewer.js";
+
+// -----------------------------
+// Full Size Images
+// -----------------------------
+// Only the site the page belongs to knows how its thumbnails map to the
+// originals, main() hands its rules over, see toFullSize() in
+// util/dispatcher.js.
+
+// the full size image first, then what the handler found
+async function probe(candidates, referer) {
+  let error = null;
+  for (const src of candidates) {
+    try {
+      return { src, usable: await verifyImage(src, { referer }) };
+    } catch (e) {
+      if (!(e instanceof ImageUnavailableError)) throw e;
+      warn(e.message);
+      error = e;
+    }
+  }
+  throw error;
+}
 
+// with "Verify Image" off, the full size image is opened unchecked, there is
+// nothing to tell that it is missing and fall back to what the handler found
 async function openImage(imgSrc, options = {}) {
+  const original = imgSrc;
+  imgSrc = toFullSize(imgSrc, getPageFullSize());
   const replace = !!options.replace;
   const referer = !!options.referer;
 
   if (replace) {
+    if (!(await confirmDestination(imgSrc))) return;
     await replaceBody(imgSrc);
     return;
   }
 
   const redirectImage = await GMAPI.getValue("redirect_image");
-  if (redirectImage) {
-    await openLink(imgSrc, { referer });
+  if (!redirectImage) return;
+
+  if (imgSrc && (await GMAPI.getValue("verify_image"))) {
+    const candidates = imgSrc !== original ? [imgSrc, original] : [imgSrc];
+    let result = null;
+    try {
+      result = await probe(candidates, referer);
+    } catch (e) {
+      await recordFailure(e);
+      // the last one tried is what the handler found, not the upgrade
+      showNotice(`AdsBypasser did not open ${e.src}, it is ${e.reason}`, [
+        ["Open anyway", () => openLink(e.src, { referer })],
+      ]);
+      return;
+    }
+
+    imgSrc = result.src;
+    if (result.usable === "page") {
+      info(`${imgSrc} only shows from this page`);
+      if (!(await confirmDestination(imgSrc))) return;
+      await replaceBody(imgSrc);
+      return;
+    }
   }
+
+  await openLink(imgSrc, { referer });
+}
+
+/**
+ * Show the images of a multi-image page in place of the page
+ * @param {Array<string|Object>} items - Page URLs, or `{ page, image,
+ *   thumb }` where `image` spares resolving `page`
+ * @param {Object} [options]
+ * @param {Function} [options.resolve] - `async (page) => image URL`
+ * @param {number} [options.start] - Index shown first, defaults to the item
+ *   of the current page
+ */
+async function openGallery(items, options = {}) {
+  const rules = getPageFullSize();
+  items = items.map((item) => {
+    if (typeof item === "string") return item;
+    // a thumbnail of a known host spares resolving the page
+    const image =
+      toFullSize(item.image, rules) || upgradeThumbnail(item.thumb, rules);
+    return { ...item, image };
+  });
+  const { resolve } = options;
+  const gallery = createGallery(items, {
+    ...options,
+    resolve:
+      resolve && (async (page) => toFullSize(await resolve(page), rules)),
+  });
+  let start = options.start;
+  if (start === undefined) {
+    const here = window.location.href;
+    start = Math.max(
+      0,
+      gallery.items.findIndex(
+        (item) => item.page && new URL(item.page, here).href === here,
+      ),
+    );
+  }
+
+  const imgSrc = await gallery.getImage(start);
+  if (!(await confirmDestination(imgSrc))) return;
+  const shown = await replaceBody(imgSrc, { gallery });
+  if (shown) showGallery(shown.wrapper, shown.img, gallery, start);
+}
+
+function upgradeThumbnail(thumb, rules) {
+  const to = toFullSize(thumb, rules);
+  return to !== thumb ? to : undefined;
 }
 
 function enableScrolling() {
@@ -27,49 +131,6 @@ function enableScrolling() {
   el.style.overflow = "";
 }
 
-function toggleShrinking() {
-  this.classList.toggle("adsbypasser-shrinked");
-}
-
-function checkScaling() {
-  const nw = this.naturalWidth;
-  const nh = this.naturalHeight;
-  const cw = document.documentElement.clientWidth;
-  const ch = document.documentElement.clientHeight;
-
-  if (
-    (nw > cw || nh > ch) &&
-    !this.classList.contains("adsbypasser-resizable")
-  ) {
-    this.classList.add("adsbypasser-resizable", "adsbypasser-shrinked");
-    this.addEventListener("click", toggleShrinking);
-  } else if (
-    nw <= cw &&
-    nh <= ch &&
-    this.classList.contains("adsbypasser-resizable")
-  ) {
-    this.removeEventListener("click", toggleShrinking);
-    this.classList.remove("adsbypasser-shrinked", "adsbypasser-resizable");
-  }
-}
-
-async function scaleImage(img) {
-  const siURL = await GMAPI.getResourceUrl("scaleImage");
-  appendStyleURL(siURL);
-
-  if (img.naturalWidth && img.naturalHeight) {
-    checkScaling.call(img);
-  } else {
-    img.addEventListener("load", checkScaling);
-  }
-
-  let h = 0;
-  window.addEventListener("resize", () => {
-    clearTimeout(h);
-    h = setTimeout(checkScaling.bind(img), 100);
-  });
-}
-
 async function changeBackground() {
   const bgImage = await GMAPI.getResourceUrl("bgImage");
   document.body.style.backgroundColor = "#222222";
@@ -95,11 +156,11 @@ function appendStyleURL(url) {
   document.head.appendChild(link);
 }
 
-async function replaceBody(imgSrc) {
+async function replaceBody(imgSrc, { gallery } = {}) {
   const redirectImage = await GMAPI.getValue("redirect_image");
   if (!redirectImage || !imgSrc) {
     if (!imgSrc) warn("false url");
-    return;
+    return null;
   }
 
   info(`replacing body with \`${imgSrc}\` ...`);
@@ -119,10 +180,13 @@ async function replaceBody(imgSrc) {
   const ac = await GMAPI.getValue("align_center");
   const si = await GMAPI.getValue("scale_image");
   if (ac || si) injectStyle(wrapper, img);
-  if (ac) await alignCenter();
+  // the viewer does its own centering
+  if (ac && !si) await alignCenter();
   const cb = await GMAPI.getValue("change_background");
   if (cb) await changeBackground();
-  if (si) await scaleImage(img);
+  if (si) await showViewer(wrapper, img);
+  showDownloads(wrapper, img, gallery);
+  return { wrapper, img };
 }
 
-export { openImage };
+export { openGallery, openImage };
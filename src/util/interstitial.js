@@ -0,0 +1,129 @@
+// -----------------------------
+// Safe Mode Interstitial
+// -----------------------------
+// In safe mode nothing leaves the page before the user has seen where it
+// goes.
+import { GMAPI } from "util/platform.js";
+import { setStatusNote } from "util/status.js";
+import { holdDeadline } from "util/supervisor.js";
+
+const PANEL_STYLE = `
+  :host { all: initial; }
+  .overlay {
+    position: fixed; inset: 0; z-index: 2147483647;
+    display: flex; align-items: center; justify-content: center;
+    background: rgba(0, 0, 0, 0.6); font: 14px/1.5 sans-serif;
+  }
+  .panel {
+    max-width: 640px; padding: 16px 20px; background: #fff; color: #222;
+    border-radius: 6px; box-shadow: 0 4px 24px rgba(0, 0, 0, 0.4);
+  }
+  h1 { margin: 0 0 8px; font-size: 16px; }
+  dl { margin: 0 0 12px; }
+  dt { font-weight: bold; }
+  dd { margin: 0 0 6px; word-break: break-all; }
+  .warning { margin: 0 0 8px; color: #b00; font-weight: bold; }
+  .warning:empty { display: none; }
+  .buttons { display: flex; gap: 8px; justify-content: flex-end; }
+`;
+
+const PANEL_HTML = `
+  <div class="overlay">
+    <div class="panel">
+      <h1>AdsBypasser found the destination</h1>
+      <p class="warning"></p>
+      <dl>
+        <dt>URL</dt><dd class="url"></dd>
+        <dt>Domain</dt><dd class="domain"></dd>
+        <dt>Known site</dt><dd class="known"></dd>
+      </dl>
+      <div class="buttons">
+        <button name="continue">Continue</button>
+        <button name="copy">Copy</button>
+        <button name="cancel">Cancel</button>
+      </div>
+    </div>
+  </div>
+`;
+
+// the dispatcher is not imported here because it depends on util/link.js
+let lookupHandler = () => null;
+
+function setHandlerLookup(fn) {
+  lookupHandler = fn;
+}
+
+function getDomain(url) {
+  try {
+    return new URL(url, window.location.href).hostname;
+  } catch {
+    return "(invalid URL)";
+  }
+}
+
+function describeHandler(url) {
+  let id = null;
+  try {
+    id = lookupHandler(url);
+  } catch {
+    // not a URL the dispatcher understands
+  }
+  if (!id) return "no, this is where the link leads";
+  return `yes, AdsBypasser will go on bypassing it with ${id}`;
+}
+
+function showInterstitial(to, warning) {
+  return new Promise((resolve) => {
+    const host = document.createElement("div");
+    const root = host.attachShadow({ mode: "open" });
+    const style = document.createElement("style");
+    style.textContent = PANEL_STYLE;
+    root.appendChild(style);
+    const container = document.createElement("div");
+    container.innerHTML = PANEL_HTML;
+    root.appendChild(container);
+
+    root.querySelector(".warning").textContent = warning || "";
+    root.querySelector(".url").textContent = to;
+    root.querySelector(".domain").textContent = getDomain(to);
+    root.querySelector(".known").textContent = describeHandler(to);
+
+    const field = (name) => root.querySelector(`[name="${name}"]`);
+    const close = (result) => {
+      host.remove();
+      resolve(result);
+    };
+    field("continue").addEventListener("click", () => close(true));
+    field("cancel").addEventListener("click", () => close(false));
+    field("copy").addEventListener("click", async () => {
+      await GMAPI.setClipboard(to);
+      field("copy").textContent = "Copied";
+    });
+
+    document.documentElement.appendChild(host);
+  });
+}
+
+/**
+ * Ask the user before leaving the page, in safe mode or with a warning
+ * @param {string} to - Destination URL
+ * @param {Object} [options]
+ * @param {string} [options.warning] - Why the user should think twice
+ * @returns {Promise<boolean>} Whether to go on
+ */
+async function confirmDestination(to, { warning = null } = {}) {
+  const safeMode = await GMAPI.getValue("safe_mode");
+  if (!safeMode && !warning) return true;
+
+  // reading the panel is no reason for the handler to time out
+  const release = holdDeadline();
+  setStatusNote("confirm the destination to continue");
+  try {
+    return await showInterstitial(to, warning);
+  } finally {
+    setStatusNote(null);
+    release();
+  }
+}
+
+export { confirmDestination, setHandlerLookup };
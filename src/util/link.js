@@ -1,5 +1,29 @@
-import { isString, wait, forEach } from "util/core.js";
+import { forEach, getPhaseSignal, isString, wait } from "util/core.js";
+import { BlockedDestinationError, findDenyingEntry } from "util/destination.js";
+import { recordFailure, recordSuccess } from "util/history.js";
+import { confirmDestination } from "util/interstitial.js";
 import { info, warn } from "util/logger.js";
+import { createNotice, showNotice } from "util/notice.js";
+import { GMAPI } from "util/platform.js";
+import { isCancelled, setDestination } from "util/status.js";
+
+// values of the `denied_action` config
+const DENIED_ASK = 1;
+
+// util/chain.js depends on the dispatcher, which depends on this module, so
+// main() plugs it in
+let resolveChain = async (to) => to;
+
+function setChainResolver(fn) {
+  resolveChain = fn;
+}
+
+// copy the destination and stay, instead of opening it
+let resolveOnly = false;
+
+function setResolveOnly(enabled) {
+  resolveOnly = enabled;
+}
 
 function prepare(element) {
   // HACK: create a body if called before DOMContentLoaded
@@ -56,9 +80,57 @@ async function post(path, params = {}) {
   form.submit();
 }
 
+async function copyLink(to) {
+  to = new URL(to, window.location.href).toString();
+  const copy = () => GMAPI.setClipboard(to).catch((e) => warn(e));
+  await copy();
+  info(`copied ${to}`);
+  await recordSuccess(to);
+
+  const notice = createNotice({
+    actions: [["Copy", copy]],
+    closeOnAction: false,
+  });
+  notice.setMessage(`AdsBypasser copied ${to}`, to);
+}
+
+// the deny list and safe mode get a say before leaving the page
+async function mayOpen(to) {
+  const denied = await findDenyingEntry(to);
+  let warning = null;
+  if (denied) {
+    const e = new BlockedDestinationError(to, denied);
+    warning = e.message;
+    warn(warning);
+    if ((await GMAPI.getValue("denied_action")) !== DENIED_ASK) {
+      await recordFailure(e);
+      showNotice(`AdsBypasser refused to open ${to}, denied by ${denied}`);
+      return false;
+    }
+  }
+
+  if (!(await confirmDestination(to, { warning }))) {
+    info(`not opening ${to}`);
+    await recordFailure("cancelled by user");
+    return false;
+  }
+  return true;
+}
+
 async function openLink(to, options = {}) {
   if (!isString(to) || !to) {
     warn("false URL");
+    await recordFailure("false URL");
+    return;
+  }
+
+  if (isCancelled()) {
+    info(`cancelled, not opening ${to}`);
+    return;
+  }
+  // the handler phase calling it already failed, see util/supervisor.js
+  if (getPhaseSignal()?.aborted) {
+    info(`handler stopped, not opening ${to}`);
     return;
   }
 
@@ -66,8 +138,18 @@ async function openLink(to, options = {}) {
     typeof options.referer === "undefined" ? true : options.referer;
   const postData = options.post;
 
+  // a POST destination needs its form data, so it is never skipped
+  if (!postData) to = await resolveChain(to);
+  if (resolveOnly && !postData) {
+    await copyLink(to);
+    return;
+  }
+  if (!(await mayOpen(to))) return;
+
   const from = window.location.toString();
   info(`${from} -> ${to}`);
+  await recordSuccess(to);
+  setDestination(to);
 
   if (postData) {
     await post(to, postData);
@@ -82,4 +164,4 @@ async function openLink(to, options = {}) {
   window.top.location.replace(to);
 }
 
-export { openLink };
+export { openLink, setChainResolver, setResolveOnly };
@@ -1,11 +1,58 @@
 import { isString } from "util/core.js";
 
-const quiet = false;
+// minimal `log_level` for each method, see MANIFEST in util/config.js
+const LEVELS = {
+  error: 0,
+  warn: 1,
+  info: 1,
+  debug: 2,
+  trace: 2,
+};
 
-function log(method, args) {
-  if (quiet) return;
+let level = 1;
+
+// recent messages of every level, for problem reports
+const HISTORY_SIZE = 100;
+const LINE_LENGTH = 300;
+const lines = [];
+
+function getLogLevel() {
+  return level;
+}
+
+function setLogLevel(value) {
+  if (typeof value === "number" && value >= 0) {
+    level = value;
+  }
+}
+
+function format(value) {
+  if (isString(value)) return value;
+  if (value instanceof Error) return `${value.name}: ${value.message}`;
+  try {
+    return JSON.stringify(value) ?? String(value);
+  } catch {
+    return String(value);
+  }
+}
 
+function remember(method, args) {
+  const text = args.map(format).join(" ");
+  lines.push(
+    `${new Date().toISOString()} ${method} ${text}`.slice(0, LINE_LENGTH),
+  );
+  if (lines.length > HISTORY_SIZE) lines.shift();
+}
+
+function getLogLines() {
+  return lines.slice();
+}
+
+function log(method, args) {
   args = Array.prototype.slice.call(args);
+  remember(method, args);
+  if (level < LEVELS[method]) return;
+
   if (isString(args[0])) {
     args[0] = "AdsBypasser: " + args[0];
   } else {
@@ -18,6 +65,10 @@ function log(method, args) {
   }
 }
 
+function trace() {
+  log("trace", arguments);
+}
+
 function debug() {
   log("debug", arguments);
 }
@@ -30,4 +81,17 @@ function warn() {
   log("warn", arguments);
 }
 
-export { debug, info, warn };
+function error() {
+  log("error", arguments);
+}
+
+export {
+  debug,
+  error,
+  getLogLevel,
+  getLogLines,
+  info,
+  setLogLevel,
+  trace,
+  warn,
+};
@@ -1,8 +1,28 @@
+import { resolveChain } from "util/chain.js";
 import { nop } from "util/core.js";
-import { findHandler } from "util/dispatcher.js";
+import {
+  findHandler,
+  listFullSizeRules,
+  matchURL,
+  setPageFullSize,
+} from "util/dispatcher.js";
 import { rawUSW, GMAPI, usw } from "util/platform.js";
-import { dumpConfig, loadConfig } from "util/config.js";
-import { warn, info } from "util/logger.js";
+import { dumpConfig, loadConfig, registerConfigPage } from "util/config.js";
+import { applyHardening } from "util/harden.js";
+import { recordFailure, showHistory, startSession } from "util/history.js";
+import { setHandlerLookup } from "util/interstitial.js";
+import { setChainResolver, setResolveOnly } from "util/link.js";
+import { warn, info, setLogLevel } from "util/logger.js";
+import { showNotice } from "util/notice.js";
+import { preresolveLinks } from "util/preresolve.js";
+import {
+  CancelledError,
+  finishStatus,
+  hideStatus,
+  showStatus,
+} from "util/status.js";
+import { getReportURL } from "util/report.js";
+import { runPhase } from "util/supervisor.js";
 import "__ADSBYPASSER_HANDLERS__";
 
 // -----------------------------
@@ -74,7 +94,7 @@ function waitDOM() {
 // -----------------------------
 // Lifecycle hooks
 // -----------------------------
-async function beforeDOMReady(handler) {
+async function beforeDOMReady(handler, options) {
   const config = await dumpConfig();
   info(
     "working on\n%s \nwith\n%s",
@@ -84,13 +104,77 @@ async function beforeDOMReady(handler) {
 
   disableLeavePrompt(usw);
   disableWindowOpen();
-  await handler.start();
+  await applyHardening(handler.harden, "start");
+  await runPhase("start", handler.start, options);
 }
 
-async function afterDOMReady(handler) {
+async function afterDOMReady(handler, options) {
   disableLeavePrompt(usw.document.body);
   changeTitle();
-  await handler.ready();
+  await startStatus(handler);
+  await applyHardening(handler.harden, "ready");
+  await runPhase("ready", handler.ready, options);
+}
+
+// -----------------------------
+// Supervision
+// -----------------------------
+async function startStatus(handler) {
+  // the config page is registered without an id, nothing to show there
+  if (!handler.id) return;
+  const config = await dumpConfig();
+  if (config.show_status) showStatus(handler.id);
+}
+
+// the last failure on this page, for the report
+let lastError = null;
+
+function openReport(handlerId) {
+  GMAPI.openInTab(getReportURL({ handlerId, error: lastError }));
+}
+
+async function supervise(handler, options, phases) {
+  startSession(handler.id);
+  try {
+    await phases();
+    finishStatus();
+  } catch (e) {
+    lastError = e;
+    await recordFailure(e);
+    hideStatus();
+    if (e.cause instanceof CancelledError) return;
+    showNotice(`AdsBypasser: ${e.message}`, [
+      ["Retry", () => retry(handler, options)],
+      ["Report", () => openReport(handler.id)],
+    ]);
+    throw e;
+  }
+}
+
+function retry(handler, options) {
+  supervise(handler, options, async () => {
+    await startStatus(handler);
+    await runPhase("start", handler.start, options);
+    await runPhase("ready", handler.ready, options);
+  }).catch((_) => warn(_));
+}
+
+// -----------------------------
+// Resolve Only
+// -----------------------------
+async function toggleResolveOnly(handler) {
+  const config = await dumpConfig();
+  const ids = config.resolve_only_handlers;
+  const enabled = ids.indexOf(handler.id) < 0;
+  const updated = enabled
+    ? ids.concat(handler.id)
+    : ids.filter((id) => id !== handler.id);
+  await GMAPI.setValue("resolve_only_handlers", updated);
+
+  setResolveOnly(config.resolve_only || enabled);
+  showNotice(
+    `AdsBypasser: resolve only is ${enabled ? "on" : "off"} for ${handler.id}`,
+  );
 }
 
 // -----------------------------
@@ -99,17 +183,59 @@ async function afterDOMReady(handler) {
 async function main() {
   if (rawUSW.top !== rawUSW.self) return; // skip frames
 
+  registerConfigPage();
+  // builds for pre-resolving run on every page, leave the ones no handler is
+  // for before reading or writing anything else unless it is on
+  if (!findHandler() && !(await GMAPI.getValue("preresolve_links"))) return;
+
+  await loadConfig();
+
+  const config = await dumpConfig();
+  const handler = findHandler(config.disabled_handlers);
+  if (!handler && !config.preresolve_links) return;
+
   GMAPI.registerMenuCommand("AdsBypasser - Configure", () => {
     GMAPI.openInTab("https://adsbypasser.github.io/configure.html");
   });
+  GMAPI.registerMenuCommand("AdsBypasser - History", () => {
+    showHistory().catch((_) => warn(_));
+  });
 
-  await loadConfig();
+  setLogLevel(config.log_level);
+  setHandlerLookup((url) => matchURL(url)?.handler.id ?? null);
+  if (config.follow_chains) {
+    setChainResolver((to) =>
+      resolveChain(to, { disabled: config.disabled_handlers }),
+    );
+  }
+  GMAPI.registerMenuCommand("AdsBypasser - Report a Problem", () => {
+    openReport(handler ? handler.id : null);
+  });
 
-  const handler = findHandler();
   if (handler) {
-    await beforeDOMReady(handler);
+    setPageFullSize(listFullSizeRules(handler.id));
+    setResolveOnly(
+      config.resolve_only ||
+        config.resolve_only_handlers.indexOf(handler.id) >= 0,
+    );
+    if (handler.id) {
+      GMAPI.registerMenuCommand("AdsBypasser - Toggle Resolve Only", () => {
+        toggleResolveOnly(handler).catch((_) => warn(_));
+      });
+    }
+
+    const options = { timeout: config.handler_timeout * 1000 };
+    await supervise(handler, options, async () => {
+      await beforeDOMReady(handler, options);
+      await waitDOM();
+      await afterDOMReady(handler, options);
+    });
+    return;
+  }
+
+  if (config.preresolve_links) {
     await waitDOM();
-    await afterDOMReady(handler);
+    await preresolveLinks({ disabled: config.disabled_handlers });
   }
 }
 
@@ -1,16 +1,24 @@
-import { nop } from "util/core.js";
+import { isOwnTimer, nop } from "util/core.js";
 import { usw } from "util/platform.js";
 import { warn } from "util/logger.js";
 
+/**
+ * Stop the timers of the page, like countdowns and ad reloads
+ *
+ * The timers AdsBypasser keeps with keepTimer() in util/core.js are left
+ * running, so the handler deadline, the status notice and `_.wait()` go on.
+ */
 function removeAllTimer() {
   let handle = window.setInterval(nop, 10);
   while (handle > 0) {
-    window.clearInterval(handle--);
+    if (!isOwnTimer(handle)) window.clearInterval(handle);
+    --handle;
   }
 
   handle = window.setTimeout(nop, 10);
   while (handle > 0) {
-    window.clearTimeout(handle--);
+    if (!isOwnTimer(handle)) window.clearTimeout(handle);
+    --handle;
   }
 }
 
@@ -0,0 +1,96 @@
+// -----------------------------
+// Page Notice
+// -----------------------------
+// A small box in the corner of the page, isolated from the page styles by a
+// shadow root.
+const NOTICE_STYLE = `
+  :host { all: initial; }
+  .notice {
+    position: fixed; right: 16px; bottom: 16px; z-index: 2147483647;
+    display: flex; align-items: center; gap: 8px; max-width: 420px;
+    padding: 8px 12px; background: #333; color: #fff;
+    font: 13px/1.4 sans-serif; border-radius: 4px;
+    box-shadow: 0 2px 8px rgba(0, 0, 0, 0.4);
+  }
+  .message { flex: 1; word-break: break-word; }
+  .message a { color: #9cf; }
+  button {
+    font: inherit; color: inherit; background: transparent;
+    border: 1px solid #888; border-radius: 3px; padding: 2px 8px;
+    cursor: pointer;
+  }
+`;
+
+/**
+ * Create a notice with a close button
+ * @param {Object} [options]
+ * @param {Array} [options.actions] - `[label, fn]` pairs
+ * @param {boolean} [options.closeOnAction] - Whether an action closes the
+ *   notice
+ * @param {Function} [options.onClose] - Called once the notice is closed
+ * @returns {Object} `{ setMessage(text, href), close() }`
+ */
+function createNotice({
+  actions = [],
+  closeOnAction = true,
+  onClose = null,
+} = {}) {
+  const host = document.createElement("div");
+  const root = host.attachShadow({ mode: "open" });
+  const style = document.createElement("style");
+  style.textContent = NOTICE_STYLE;
+  root.appendChild(style);
+
+  const notice = document.createElement("div");
+  notice.className = "notice";
+  const text = document.createElement("span");
+  text.className = "message";
+  notice.appendChild(text);
+
+  const close = () => {
+    if (!host.isConnected) return;
+    host.remove();
+    if (onClose) onClose();
+  };
+  for (const [label, fn] of [...actions, ["×", null]]) {
+    const button = document.createElement("button");
+    button.textContent = label;
+    button.addEventListener("click", () => {
+      if (!fn || closeOnAction) close();
+      if (fn) fn();
+    });
+    notice.appendChild(button);
+  }
+
+  root.appendChild(notice);
+  document.documentElement.appendChild(host);
+
+  // `href` turns the message into a link
+  const setMessage = (message, href) => {
+    text.textContent = "";
+    if (!href) {
+      text.textContent = message;
+      return;
+    }
+    const a = document.createElement("a");
+    a.href = href;
+    a.textContent = message;
+    text.appendChild(a);
+  };
+
+  return { setMessage, close };
+}
+
+/**
+ * Show a notice with a close button
+ * @param {string} message - Text of the notice
+ * @param {Array} [actions] - `[label, fn]` pairs, each closes the notice
+ * @returns {Function} Closes the notice
+ */
+function showNotice(message, actions = []) {
+  const notice = createNotice({ actions });
+  notice.setMessage(message);
+  return notice.close;
+}
+
+export { createNotice, showNotice };
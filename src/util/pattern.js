@@ -0,0 +1,53 @@
+// -----------------------------
+// URL Match Patterns
+// -----------------------------
+// `scheme://host/path` strings, `*` is a wildcard and `*.example.com` matches
+// the domain and its subdomains. String rules of handlers use these too:
+// a `*` scheme matches http and https, and `*.example.com` does not match
+// `badexample.com`.
+
+function toPatternURL(url) {
+  const u = new URL(url.toString());
+  return {
+    scheme: u.protocol.slice(0, -1),
+    host: u.host,
+    path: u.pathname + u.search + u.hash,
+  };
+}
+
+function isSubdomain(host, domain) {
+  return host === domain || host.endsWith(`.${domain}`);
+}
+
+function matchPattern(pattern, urlObj) {
+  const schemeRegex = /\*|https?|file|ftp|chrome-extension/;
+  const hostRegex = /\*|(\*\.)?([^/*]+)/;
+  const pathRegex = /\/.*/;
+
+  const tmp = `^(${schemeRegex.source})://(${hostRegex.source})?(${pathRegex.source})$`;
+  const up = new RegExp(tmp);
+  const matched = pattern.match(up);
+  if (!matched) return null;
+
+  const [, scheme, host, wc, sd, path] = matched;
+
+  if (
+    scheme === "*" ? !/^https?$/.test(urlObj.scheme) : scheme !== urlObj.scheme
+  )
+    return null;
+
+  if (scheme !== "file" && host !== "*") {
+    if (wc) {
+      if (!isSubdomain(urlObj.host, sd)) return null;
+    } else if (host !== urlObj.host) return null;
+  }
+
+  const pathRegexFinal = new RegExp(
+    `^${path.replace(/[*.[\]?+#]/g, (c) => (c === "*" ? ".*" : "\\" + c))}$`,
+  );
+  if (!pathRegexFinal.test(urlObj.path)) return null;
+
+  return urlObj;
+}
+
+export { isSubdomain, matchPattern, toPatternURL };
@@ -51,6 +51,28 @@ function getGreaseMonkeyAPI() {
   gm.registerMenuCommand =
     typeof GM_registerMenuCommand === "function" ? GM_registerMenuCommand : nop;
 
+  if (typeof GM_setClipboard === "function") {
+    gm.setClipboard = (text) => Promise.resolve(GM_setClipboard(text));
+  } else if (typeof GM === "object" && GM && GM.setClipboard) {
+    gm.setClipboard = GM.setClipboard;
+  } else {
+    gm.setClipboard = (text) => navigator.clipboard.writeText(text);
+  }
+
+  if (typeof GM_download === "function") {
+    gm.download = (details) =>
+      new Promise((resolve, reject) => {
+        GM_download({
+          ...details,
+          onload: resolve,
+          onerror: reject,
+          ontimeout: reject,
+        });
+      });
+  } else if (typeof GM === "object" && GM && GM.download) {
+    gm.download = GM.download;
+  }
+
   if (typeof GM_getResourceURL === "function") {
     gm.getResourceUrl = (resourceName) =>
       Promise.resolve(GM_getResourceURL(resourceName));
@@ -136,4 +158,4 @@ function clone(safe) {
   return unsafe;
 }
 
-export { rawUSW, usw, GMAPI };
+export { getGMInfo, rawUSW, usw, GMAPI };
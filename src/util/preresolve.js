@@ -0,0 +1,158 @@
+// -----------------------------
+// Link Pre-resolution
+// -----------------------------
+// On pages no handler works on, mark the links AdsBypasser supports, and
+// point URL transform links straight at their destination, and thumbnails
+// of image hosts at the full size image. No handler code runs and nothing
+// is fetched.
+import { findDenyingEntry, loadDestinationLists } from "util/destination.js";
+import { findPattern, rewriteURL, toFullSize } from "util/dispatcher.js";
+import { debug, warn } from "util/logger.js";
+
+const MAX_HOPS = 5;
+const ATTRIBUTE = "data-adsbypasser";
+const BADGE_STYLE = `
+  a[${ATTRIBUTE}]::after {
+    content: "\\2713"; margin-left: 2px; padding: 0 3px;
+    font-size: 75%; color: #fff; background: #2a7; border-radius: 3px;
+  }
+  a[${ATTRIBUTE}="supported"]::after { background: #27a; }
+  a[${ATTRIBUTE}="denied"]::after { content: "\\2717"; background: #b00; }
+`;
+
+// follows URL transforms only, they need neither the page nor the network
+function rewriteChain(url, disabled) {
+  const seen = new Set([url]);
+  let to = url;
+  let id = null;
+
+  for (let hop = 0; hop < MAX_HOPS; ++hop) {
+    const result = findPattern(to, disabled);
+    if (!result || !result.handler.rewrite) break;
+    const next = new URL(rewriteURL(result.handler.rewrite, to), to).href;
+    if (seen.has(next)) break;
+    seen.add(next);
+    id = id || result.handler.id;
+    to = next;
+  }
+
+  return { id, to };
+}
+
+// the destination comes from the link itself, a `javascript:` one would run
+// in this page when clicked
+function isWebURL(url) {
+  try {
+    return /^https?:$/.test(new URL(url).protocol);
+  } catch {
+    return false;
+  }
+}
+
+// the link of a thumbnail leads to its image page, skip the page; only the
+// host the link points at tells, a thumbnail on a shortener link is just a
+// preview of the download
+function upgradeThumbnail(a, { id, fullsize }) {
+  const img = a.querySelector("img[src]");
+  if (!img || !fullsize) return null;
+  const to = toFullSize(img.src, fullsize);
+  return to !== img.src ? { id, to } : null;
+}
+
+async function markLink(a, { disabled = [], lists }) {
+  if (a.hasAttribute(ATTRIBUTE)) return;
+  a.setAttribute(ATTRIBUTE, "");
+
+  let url = null;
+  try {
+    url = new URL(a.getAttribute("href"), window.location.href);
+  } catch {
+    return;
+  }
+  if (!/^https?:$/.test(url.protocol)) return;
+
+  // the config page is registered without an id
+  const result = findPattern(url, disabled);
+  if (!result || !result.handler.id) return;
+  const { id } = result.handler;
+
+  let chain = null;
+  try {
+    chain = rewriteChain(url.href, disabled);
+  } catch (e) {
+    debug(`could not rewrite ${url.href}`, e);
+  }
+  if (!chain || !chain.id) {
+    chain = upgradeThumbnail(a, result.handler);
+  }
+  if (!chain || !isWebURL(chain.to)) {
+    a.setAttribute(ATTRIBUTE, "supported");
+    a.title = `AdsBypasser supports this link (${id})`;
+    return;
+  }
+
+  const denied = await findDenyingEntry(chain.to, lists);
+  if (denied) {
+    a.setAttribute(ATTRIBUTE, "denied");
+    a.title = `AdsBypasser: ${chain.to} is denied by ${denied}`;
+    return;
+  }
+  a.setAttribute(`${ATTRIBUTE}-original`, a.href);
+  a.href = chain.to;
+  a.setAttribute(ATTRIBUTE, "resolved");
+  a.title = `AdsBypasser resolved this link (${id})`;
+}
+
+// the lists are read once for every batch of links, not once per link
+async function markLinks(links, disabled) {
+  if (!links.length) return;
+  const lists = await loadDestinationLists();
+  await Promise.all(links.map((a) => markLink(a, { disabled, lists })));
+}
+
+/**
+ * Mark the supported links under `root` and rewrite the ones that can be
+ * @param {Element|Document} [root] - Where to look for links
+ * @param {Object} [options]
+ * @param {string[]} [options.disabled] - Ids of the disabled handlers
+ * @returns {Promise} Resolves when every link is handled
+ */
+function scanLinks(root = document, { disabled = [] } = {}) {
+  return markLinks(Array.from(root.querySelectorAll("a[href]")), disabled);
+}
+
+/**
+ * Pre-resolve the links of the page, including the ones added later
+ *
+ * Call it once the DOM is ready.
+ * @param {Object} [options] - See scanLinks()
+ */
+async function preresolveLinks(options = {}) {
+  // XML and SVG documents have neither, and no links to mark
+  if (!document.head || !document.body) return;
+
+  const style = document.createElement("style");
+  style.textContent = BADGE_STYLE;
+  document.head.appendChild(style);
+
+  await scanLinks(document, options);
+
+  const observer = new MutationObserver((mutations) => {
+    const links = [];
+    for (const mutation of mutations) {
+      for (const node of mutation.addedNodes) {
+        // text nodes have nothing to scan
+        if (!node.querySelectorAll) continue;
+        if (node.matches("a[href]")) links.push(node);
+        links.push(...node.querySelectorAll("a[href]"));
+      }
+    }
+    markLinks(links, options.disabled).catch((_) => warn(_));
+  });
+  observer.observe(document.body, {
+    childList: true,
+    subtree: true,
+  });
+}
+
+export { preresolveLinks, scanLinks };
@@ -0,0 +1,136 @@
+// -----------------------------
+// Image Probe
+// -----------------------------
+// Checks an image before leaving the page for it. A HEAD request tells
+// removed images and hotlink protection apart, and decoding the image in
+// the page catches the placeholders some hosts send with a 200. When in
+// doubt the image is trusted, like before probing existed.
+import { head } from "util/ajax.js";
+import { AdsBypasserError, cancellable } from "util/core.js";
+import { debug } from "util/logger.js";
+
+const PROBE_TIMEOUT = 10000;
+
+// where hosts redirect removed or hotlinked images to
+const PLACEHOLDER_URLS = [
+  /^https?:\/\/(i\.)?imgur\.com\/removed\.png$/i,
+  /\/(removed|deleted|not[-_]?found|404)\.(png|gif|jpe?g)$/i,
+  /\/(no[-_]?)?hotlink[^/]*\.(png|gif|jpe?g)$/i,
+];
+// natural sizes of well known placeholders, imgur's removed image and
+// tracking pixels
+const PLACEHOLDER_SIZES = [
+  [161, 81],
+  [1, 1],
+];
+
+class ImageUnavailableError extends AdsBypasserError {
+  constructor(src, reason) {
+    super(`${src} is ${reason}`);
+    this._src = src;
+    this._reason = reason;
+  }
+
+  get name() {
+    return "ImageUnavailableError";
+  }
+
+  get code() {
+    return "IMAGE_UNAVAILABLE";
+  }
+
+  get src() {
+    return this._src;
+  }
+  get reason() {
+    return this._reason;
+  }
+}
+
+function isPlaceholderURL(url) {
+  return PLACEHOLDER_URLS.some((pattern) => pattern.test(url));
+}
+
+// what opening the image directly would get, null when it cannot be told
+async function checkHeaders(src, referer) {
+  let response = null;
+  try {
+    const headers = referer ? { Referer: window.location.href } : {};
+    response = await head(src, headers);
+  } catch (e) {
+    debug(`cannot HEAD ${src}`, e);
+    return null;
+  }
+
+  const { status, finalUrl, type } = response;
+  if (status === 404 || status === 410) return "removed";
+  if (finalUrl !== src && isPlaceholderURL(finalUrl)) return "placeholder";
+  if (status === 401 || status === 403) return "hotlink";
+  // some servers do not support HEAD at all
+  if (status >= 400) return null;
+  if (type && !/^image\//i.test(type)) return "hotlink";
+  return "ok";
+}
+
+// decodes the image with the referer of this page
+function decodeImage(src) {
+  return cancellable(
+    (resolve) => {
+      const img = document.createElement("img");
+      img.onload = () =>
+        resolve({ width: img.naturalWidth, height: img.naturalHeight });
+      img.onerror = () => resolve(null);
+      img.src = src;
+      return () => {
+        img.onload = null;
+        img.onerror = null;
+      };
+    },
+    { timeout: PROBE_TIMEOUT },
+  ).catch((e) => {
+    debug(`cannot decode ${src}`, e);
+    return null;
+  });
+}
+
+function isPlaceholderSize({ width, height }) {
+  return PLACEHOLDER_SIZES.some(([w, h]) => w === width && h === height);
+}
+
+/**
+ * Find out how an image can be shown
+ * @param {string} src - Image URL
+ * @param {Object} [options]
+ * @param {boolean} [options.referer] - Whether opening it sends the referer
+ * @returns {Promise<string>} `"direct"` if it can be opened, `"page"` if it
+ *   only shows from this page
+ * @throws {ImageUnavailableError} If it is removed or a placeholder
+ */
+async function verifyImage(src, { referer = false } = {}) {
+  if (isPlaceholderURL(src)) {
+    throw new ImageUnavailableError(src, "a placeholder");
+  }
+
+  const [status, size] = await Promise.all([
+    checkHeaders(src, referer),
+    decodeImage(src),
+  ]);
+  debug(`probed ${src}`, status, size);
+
+  if (status === "removed") {
+    throw new ImageUnavailableError(src, "removed");
+  }
+  if (status === "placeholder") {
+    throw new ImageUnavailableError(src, "a placeholder");
+  }
+  if (size && isPlaceholderSize(size)) {
+    throw new ImageUnavailableError(src, "a placeholder");
+  }
+  if (status === "hotlink") {
+    if (!size) throw new ImageUnavailableError(src, "hotlink protected");
+    return "page";
+  }
+  return "direct";
+}
+
+export { ImageUnavailableError, verifyImage };
@@ -0,0 +1,77 @@
+// -----------------------------
+// Problem Report
+// -----------------------------
+// Builds a prefilled GitHub issue form for the user to review; nothing is
+// ever sent without them submitting it.
+import { getLogLines } from "util/logger.js";
+import { getGMInfo } from "util/platform.js";
+
+const ISSUE_URL = "https://github.com/adsbypasser/adsbypasser/issues/new";
+const LOG_LINES = 30;
+// long URLs get rejected, the log gives way first
+const MAX_BODY_LENGTH = 6000;
+
+function getErrorCode(error) {
+  if (!error) return "NONE";
+  return error.code || "UNKNOWN";
+}
+
+/**
+ * Assemble a bug report for the current page
+ * @param {Object} [options]
+ * @param {string} [options.handlerId] - Id of the handler of the page
+ * @param {Error|string} [options.error] - What went wrong, if known
+ * @returns {Object} `{ title, body }`
+ */
+function buildReport({ handlerId = null, error = null } = {}) {
+  const gmInfo = getGMInfo();
+  const script = gmInfo.script || {};
+  const manager = [gmInfo.scriptHandler, gmInfo.version]
+    .filter(Boolean)
+    .join(" ");
+
+  const header = [
+    "**What's Wrong?**",
+    error ? String(error.message ?? error) : "",
+    "",
+    "**Full Link**",
+    window.location.toString(),
+    "",
+    "**Environment**",
+    `- Handler: \`${handlerId || "none"}\``,
+    `- Error code: \`${getErrorCode(error)}\``,
+    `- AdsBypasser: ${script.version || "unknown"}`,
+    `- Userscript manager: ${manager || "unknown"}`,
+    "",
+    "**Log**",
+    "```",
+  ];
+  let lines = getLogLines().slice(-LOG_LINES);
+  const join = () => [...header, ...lines, "```"].join("\n");
+  while (lines.length > 0 && join().length > MAX_BODY_LENGTH) {
+    lines = lines.slice(1);
+  }
+
+  return {
+    title: `[Bug] ${window.location.hostname}`,
+    body: join(),
+  };
+}
+
+/**
+ * Link to a new issue prefilled with buildReport()
+ * @param {Object} [options] - See buildReport()
+ * @returns {string} URL of the issue form
+ */
+function getReportURL(options) {
+  const { title, body } = buildReport(options);
+  const query = new URLSearchParams({
+    template: "bug-report.md",
+    labels: "bug",
+    title,
+    body,
+  });
+  return `${ISSUE_URL}?${query}`;
+}
+
+export { buildReport, getReportURL };
@@ -0,0 +1,161 @@
+// -----------------------------
+// Bypass Status
+// -----------------------------
+// Tracks the countdowns of the running handler, and shows them in a notice
+// once showStatus() is called. Skip ends the current countdowns early,
+// Cancel rejects them and stops any further navigation.
+import {
+  AdsBypasserError,
+  getPhaseSignal,
+  keepTimer,
+  releaseTimer,
+} from "util/core.js";
+import { createNotice } from "util/notice.js";
+
+const RENDER_INTERVAL = 250;
+
+class CancelledError extends AdsBypasserError {
+  constructor() {
+    super("cancelled by user");
+  }
+
+  get name() {
+    return "CancelledError";
+  }
+
+  get code() {
+    return "CANCELLED";
+  }
+}
+
+const countdowns = new Set();
+let handlerId = null;
+let destination = null;
+let note = null;
+let cancelled = false;
+let widget = null;
+
+function render() {
+  if (!widget) return;
+
+  const prefix = `AdsBypasser (${handlerId}): `;
+  if (destination) {
+    widget.notice.setMessage(`${prefix}opening ${destination}`, destination);
+    return;
+  }
+  if (note) {
+    widget.notice.setMessage(`${prefix}${note}`);
+    return;
+  }
+  if (countdowns.size === 0) {
+    widget.notice.setMessage(`${prefix}working`);
+    return;
+  }
+  const last = Array.from(countdowns).reduce((a, b) =>
+    a.deadline > b.deadline ? a : b,
+  );
+  const seconds = Math.max(0, Math.ceil((last.deadline - Date.now()) / 1000));
+  widget.notice.setMessage(`${prefix}${last.label} ${seconds}s`);
+}
+
+function skip() {
+  for (const c of Array.from(countdowns)) c.resolve();
+}
+
+function cancel() {
+  cancelled = true;
+  for (const c of Array.from(countdowns)) c.reject(new CancelledError());
+  hideStatus();
+}
+
+/**
+ * Sleep like `wait()` while showing the time left
+ * @param {number} msDelay - Time to sleep
+ * @param {Object} [options]
+ * @param {string} [options.label] - What the page is waiting for
+ * @param {AbortSignal} [options.signal] - Ends the countdown with its reason
+ * @returns {Promise} Resolves when the time is up or the user skips it
+ */
+function countdown(msDelay, { label = "waiting", signal } = {}) {
+  if (cancelled) return Promise.reject(new CancelledError());
+  // the countdowns of a phase that failed end with it
+  const signals = [signal, getPhaseSignal()].filter(Boolean);
+  const aborted = signals.find((s) => s.aborted);
+  if (aborted) return Promise.reject(aborted.reason);
+
+  return new Promise((resolve, reject) => {
+    const entry = { label, deadline: Date.now() + msDelay };
+    const onAbort = (event) => entry.reject(event.target.reason);
+    const settle = (fn, value) => {
+      clearTimeout(timer);
+      releaseTimer(timer);
+      for (const s of signals) s.removeEventListener("abort", onAbort);
+      countdowns.delete(entry);
+      render();
+      fn(value);
+    };
+    entry.resolve = () => settle(resolve);
+    entry.reject = (e) => settle(reject, e);
+
+    const timer = keepTimer(setTimeout(entry.resolve, msDelay));
+    for (const s of signals) s.addEventListener("abort", onAbort);
+    countdowns.add(entry);
+    render();
+  });
+}
+
+function isCancelled() {
+  return cancelled;
+}
+
+function setDestination(to) {
+  destination = to;
+  render();
+}
+
+// something the user has to do before the handler can go on
+function setStatusNote(text) {
+  note = text || null;
+  render();
+}
+
+function showStatus(id) {
+  handlerId = id;
+  if (widget || cancelled) return;
+
+  const notice = createNotice({
+    actions: [
+      ["Skip", skip],
+      ["Cancel", cancel],
+    ],
+    closeOnAction: false,
+    onClose: () => {
+      clearInterval(timer);
+      releaseTimer(timer);
+      widget = null;
+    },
+  });
+  const timer = keepTimer(setInterval(render, RENDER_INTERVAL));
+  widget = { notice };
+  render();
+}
+
+function hideStatus() {
+  if (widget) widget.notice.close();
+}
+
+// the handler is done; keep showing where it is heading, if anywhere
+function finishStatus() {
+  if (!destination) hideStatus();
+}
+
+export {
+  CancelledError,
+  countdown,
+  finishStatus,
+  hideStatus,
+  isCancelled,
+  setDestination,
+  setStatusNote,
+  showStatus,
+};
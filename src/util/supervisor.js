@@ -0,0 +1,124 @@
+// -----------------------------
+// Handler Supervisor
+// -----------------------------
+// Handler code cannot be interrupted, but every phase gets an AbortSignal,
+// also passed as `fn({ signal })`. When the phase misses its deadline or
+// fails, the signal aborts: the waits and countdowns it started reject, and
+// openLink() no longer navigates, before anything is retried.
+// While a hold is taken, e.g. when waiting for the user to solve a captcha,
+// the deadline keeps being pushed back.
+import { AjaxError } from "util/ajax.js";
+import {
+  AdsBypasserError,
+  TimeoutError,
+  cancellable,
+  keepTimer,
+  releaseTimer,
+  setPhaseSignal,
+  wait,
+} from "util/core.js";
+import { DomNotFoundError } from "util/dom.js";
+import { debug } from "util/logger.js";
+
+const DEFAULT_RETRIES = 2;
+const RETRY_DELAY = 1000;
+
+let holds = 0;
+
+class PhaseError extends AdsBypasserError {
+  constructor(phase, cause) {
+    super(`${phase}() failed: ${cause?.message ?? cause}`);
+    this._phase = phase;
+    this._cause = cause;
+  }
+
+  get name() {
+    return "PhaseError";
+  }
+
+  // what went wrong matters more than when
+  get code() {
+    return this._cause?.code ?? "UNKNOWN";
+  }
+
+  get phase() {
+    return this._phase;
+  }
+  get cause() {
+    return this._cause;
+  }
+}
+
+// the page was not rendered yet or the server hiccuped
+function isTransient(e) {
+  if (e instanceof DomNotFoundError) return true;
+  if (e instanceof AjaxError) return !e.status || e.status >= 500;
+  return false;
+}
+
+/**
+ * Stop the running phase from timing out until released
+ * @returns {Function} Releases the hold, calling it again does nothing
+ */
+function holdDeadline() {
+  ++holds;
+  let released = false;
+  return () => {
+    if (released) return;
+    released = true;
+    --holds;
+  };
+}
+
+function withDeadline(fn, signal, timeout) {
+  return cancellable((resolve, reject) => {
+    Promise.resolve({ signal }).then(fn).then(resolve, reject);
+    if (timeout <= 0) return undefined;
+
+    // kept from removeAllTimer(), which handlers call before waiting for
+    // the page, see util/misc.js
+    let timer = null;
+    const arm = () => {
+      timer = keepTimer(
+        setTimeout(() => {
+          releaseTimer(timer);
+          if (holds > 0) {
+            arm();
+            return;
+          }
+          reject(new TimeoutError(timeout));
+        }, timeout),
+      );
+    };
+    arm();
+    return () => {
+      clearTimeout(timer);
+      releaseTimer(timer);
+    };
+  });
+}
+
+async function runPhase(
+  phase,
+  fn,
+  { timeout = 0, retries = DEFAULT_RETRIES, retryDelay = RETRY_DELAY } = {},
+) {
+  for (let attempt = 0; ; ++attempt) {
+    const controller = new AbortController();
+    setPhaseSignal(controller.signal);
+    try {
+      return await withDeadline(fn, controller.signal, timeout);
+    } catch (e) {
+      // the signal stays aborted, so a phase that gave up stays stopped
+      controller.abort(e);
+      if (attempt >= retries || !isTransient(e)) {
+        throw new PhaseError(phase, e);
+      }
+      debug(`${phase}() failed, retrying`, e);
+      setPhaseSignal(null);
+      await wait(retryDelay);
+    }
+  }
+}
+
+export { PhaseError, holdDeadline, isTransient, runPhase };
@@ -0,0 +1,266 @@
+// -----------------------------
+// Image Viewer
+// -----------------------------
+// Shows the image of replaceBody() fitted to the window. The wheel zooms at
+// the cursor, dragging pans, and the toolbar or the keys below switch how
+// the image is fitted. The last fit mode chosen is remembered.
+import { warn } from "util/logger.js";
+import { GMAPI } from "util/platform.js";
+
+// in the order of the `image_fit_mode` config values
+const MODES = ["fit", "width", "height", "actual"];
+const MODE_KEY = "image_fit_mode";
+
+const ZOOM_STEP = 1.1;
+const MIN_SCALE = 0.05;
+const MAX_SCALE = 20;
+const PAN_STEP = 50;
+
+const TOOLBAR = [
+  ["fit", "Fit", "f"],
+  ["width", "Fit width", "w"],
+  ["height", "Fit height", "h"],
+  ["actual", "Actual size", "1"],
+  ["left", "Rotate left", "R"],
+  ["right", "Rotate right", "r"],
+];
+
+const TOOLBAR_STYLE = `
+  position: fixed; right: 8px; bottom: 8px; z-index: 1;
+  display: flex; gap: 4px; padding: 4px; border-radius: 4px;
+  background: rgba(0, 0, 0, 0.5); line-height: normal;
+`;
+
+function getViewport() {
+  const el = document.documentElement;
+  return { width: el.clientWidth, height: el.clientHeight };
+}
+
+function clamp(scale) {
+  return Math.min(MAX_SCALE, Math.max(MIN_SCALE, scale));
+}
+
+/**
+ * Lay out an image in a full window wrapper
+ * @param {HTMLElement} wrapper - Element covering the window
+ * @param {HTMLImageElement} img - Image inside `wrapper`
+ * @param {Object} [options]
+ * @param {string} [options.mode] - Initial fit mode, one of MODES
+ * @returns {Object} Controls of the viewer, `state` is `{ mode, scale,
+ *   rotation, x, y }` where `mode` is null after zooming and `x`, `y` are
+ *   the offset of the image center from the window center
+ */
+function createViewer(wrapper, img, { mode = "fit" } = {}) {
+  const state = { mode, scale: 1, rotation: 0, x: 0, y: 0 };
+
+  wrapper.style.cssText =
+    "position: fixed; inset: 0; overflow: hidden; user-select: none;";
+  img.style.cssText =
+    "position: absolute; left: 50%; top: 50%; margin: 0; max-width: none; " +
+    "max-height: none; cursor: grab;";
+  img.draggable = false;
+
+  function render() {
+    const { x, y, rotation, scale } = state;
+    img.style.transform =
+      `translate(-50%, -50%) translate(${x}px, ${y}px) ` +
+      `rotate(${rotation}deg) scale(${scale})`;
+  }
+
+  // size of the image as shown upright, before scaling
+  function getSize() {
+    const { naturalWidth: w, naturalHeight: h } = img;
+    return state.rotation % 180 === 0
+      ? { width: w, height: h }
+      : { width: h, height: w };
+  }
+
+  function fit() {
+    const { width, height } = getSize();
+    if (!width || !height || !state.mode) return;
+
+    const view = getViewport();
+    const byWidth = view.width / width;
+    const byHeight = view.height / height;
+    state.x = 0;
+    state.y = 0;
+    if (state.mode === "fit") {
+      // never blow up small images
+      state.scale = Math.min(byWidth, byHeight, 1);
+    } else if (state.mode === "width") {
+      state.scale = byWidth;
+      // start from the top of tall images
+      state.y = Math.max(0, (height * state.scale - view.height) / 2);
+    } else if (state.mode === "height") {
+      state.scale = byHeight;
+      state.x = Math.max(0, (width * state.scale - view.width) / 2);
+    } else {
+      state.scale = 1;
+    }
+    render();
+  }
+
+  function setMode(mode_) {
+    state.mode = mode_;
+    fit();
+  }
+
+  // keeps the point under (clientX, clientY) in place
+  function zoom(factor, clientX, clientY) {
+    const view = getViewport();
+    const px = (clientX ?? view.width / 2) - view.width / 2;
+    const py = (clientY ?? view.height / 2) - view.height / 2;
+    const scale = clamp(state.scale * factor);
+    const ratio = scale / state.scale;
+
+    state.mode = null;
+    state.x = px - (px - state.x) * ratio;
+    state.y = py - (py - state.y) * ratio;
+    state.scale = scale;
+    render();
+  }
+
+  function rotate(degrees) {
+    state.rotation = (((state.rotation + degrees) % 360) + 360) % 360;
+    if (state.mode) {
+      fit();
+    } else {
+      render();
+    }
+  }
+
+  function pan(dx, dy) {
+    state.x += dx;
+    state.y += dy;
+    render();
+  }
+
+  fit();
+  return { state, fit, pan, rotate, setMode, zoom };
+}
+
+// -----------------------------
+// Controls
+// -----------------------------
+function createToolbar(onAction) {
+  const toolbar = document.createElement("div");
+  toolbar.style.cssText = TOOLBAR_STYLE;
+  for (const [action, title, key] of TOOLBAR) {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.name = action;
+    button.textContent = title;
+    button.title = `${title} (${key})`;
+    button.addEventListener("click", () => onAction(action));
+    toolbar.appendChild(button);
+  }
+  return toolbar;
+}
+
+function bindKeys(viewer, onAction) {
+  const keys = {
+    f: "fit",
+    w: "width",
+    h: "height",
+    1: "actual",
+    r: "right",
+    R: "left",
+  };
+  const moves = {
+    ArrowLeft: [PAN_STEP, 0],
+    ArrowRight: [-PAN_STEP, 0],
+    ArrowUp: [0, PAN_STEP],
+    ArrowDown: [0, -PAN_STEP],
+  };
+
+  document.addEventListener("keydown", (event) => {
+    if (event.ctrlKey || event.metaKey || event.altKey) return;
+
+    if (keys[event.key]) {
+      onAction(keys[event.key]);
+    } else if (event.key === "+" || event.key === "=") {
+      viewer.zoom(ZOOM_STEP);
+    } else if (event.key === "-") {
+      viewer.zoom(1 / ZOOM_STEP);
+    } else if (moves[event.key]) {
+      viewer.pan(...moves[event.key]);
+    } else {
+      return;
+    }
+    event.preventDefault();
+  });
+}
+
+function bindMouse(viewer, wrapper, img, onAction) {
+  wrapper.addEventListener(
+    "wheel",
+    (event) => {
+      event.preventDefault();
+      const factor = event.deltaY < 0 ? ZOOM_STEP : 1 / ZOOM_STEP;
+      viewer.zoom(factor, event.clientX, event.clientY);
+    },
+    { passive: false },
+  );
+
+  let drag = null;
+  wrapper.addEventListener("mousedown", (event) => {
+    if (event.button !== 0 || event.target.closest("button")) return;
+    event.preventDefault();
+    drag = { x: event.clientX, y: event.clientY };
+    img.style.cursor = "grabbing";
+  });
+  window.addEventListener("mousemove", (event) => {
+    if (!drag) return;
+    viewer.pan(event.clientX - drag.x, event.clientY - drag.y);
+    drag = { x: event.clientX, y: event.clientY };
+  });
+  window.addEventListener("mouseup", () => {
+    drag = null;
+    img.style.cursor = "grab";
+  });
+
+  img.addEventListener("dblclick", () => {
+    onAction(viewer.state.mode === "actual" ? "fit" : "actual");
+  });
+}
+
+async function loadMode() {
+  const index = await GMAPI.getValue(MODE_KEY);
+  return MODES[index] || MODES[0];
+}
+
+/**
+ * Turn an image shown by replaceBody() into a viewer
+ * @param {HTMLElement} wrapper - Element holding `img`
+ * @param {HTMLImageElement} img
+ * @returns {Promise<Object>} The viewer, see createViewer()
+ */
+async function showViewer(wrapper, img) {
+  const viewer = createViewer(wrapper, img, { mode: await loadMode() });
+
+  const onAction = (action) => {
+    if (action === "left") {
+      viewer.rotate(-90);
+    } else if (action === "right") {
+      viewer.rotate(90);
+    } else {
+      viewer.setMode(action);
+      GMAPI.setValue(MODE_KEY, MODES.indexOf(action)).catch((_) => warn(_));
+    }
+  };
+
+  wrapper.appendChild(createToolbar(onAction));
+  bindKeys(viewer, onAction);
+  bindMouse(viewer, wrapper, img, onAction);
+
+  img.addEventListener("load", () => viewer.fit());
+  let h = 0;
+  window.addEventListener("resize", () => {
+    clearTimeout(h);
+    h = setTimeout(() => viewer.fit(), 100);
+  });
+
+  return viewer;
+}
+
+export { createViewer, showViewer };
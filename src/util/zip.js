@@ -0,0 +1,123 @@
+// -----------------------------
+// Zip Archive
+// -----------------------------
+// Files are stored without compression, images are compressed already.
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL = 0x06054b50;
+const VERSION = 20;
+// file names are UTF-8
+const FLAGS = 0x0800;
+
+let crcTable = null;
+
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; ++n) {
+      let c = n;
+      for (let k = 0; k < 8; ++k) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; ++i) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function toDOSDateTime(date) {
+  const time =
+    (date.getHours() << 11) |
+    (date.getMinutes() << 5) |
+    Math.floor(date.getSeconds() / 2);
+  const day =
+    ((date.getFullYear() - 1980) << 9) |
+    ((date.getMonth() + 1) << 5) |
+    date.getDate();
+  return { time, day };
+}
+
+function createHeader(signature, file, offset) {
+  const central = signature === CENTRAL_HEADER;
+  const view = new DataView(new ArrayBuffer(central ? 46 : 30));
+  let p = 0;
+  const u16 = (v) => {
+    view.setUint16(p, v, true);
+    p += 2;
+  };
+  const u32 = (v) => {
+    view.setUint32(p, v, true);
+    p += 4;
+  };
+
+  u32(signature);
+  if (central) u16(VERSION);
+  u16(VERSION);
+  u16(FLAGS);
+  // stored
+  u16(0);
+  u16(file.time);
+  u16(file.day);
+  u32(file.crc);
+  u32(file.data.length);
+  u32(file.data.length);
+  u16(file.name.length);
+  // extra field
+  u16(0);
+  if (central) {
+    // comment, disk, internal and external attributes
+    u16(0);
+    u16(0);
+    u16(0);
+    u32(0);
+    u32(offset);
+  }
+  return new Uint8Array(view.buffer);
+}
+
+/**
+ * Pack files into a zip archive
+ * @param {Object[]} files - `{ name, data }`, `data` is a Uint8Array
+ * @param {Date} [date] - Modification time of every file
+ * @returns {Blob} The archive
+ */
+function createZip(files, date = new Date()) {
+  const encoder = new TextEncoder();
+  const { time, day } = toDOSDateTime(date);
+  const parts = [];
+  const entries = [];
+  let offset = 0;
+
+  for (const { name, data } of files) {
+    const file = { name: encoder.encode(name), data, time, day };
+    file.crc = crc32(data);
+    const header = createHeader(LOCAL_HEADER, file);
+    entries.push({ file, offset });
+    parts.push(header, file.name, data);
+    offset += header.length + file.name.length + data.length;
+  }
+
+  let size = 0;
+  for (const { file, offset: at } of entries) {
+    const header = createHeader(CENTRAL_HEADER, file, at);
+    parts.push(header, file.name);
+    size += header.length + file.name.length;
+  }
+
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, END_OF_CENTRAL, true);
+  end.setUint16(8, entries.length, true);
+  end.setUint16(10, entries.length, true);
+  end.setUint32(12, size, true);
+  end.setUint32(16, offset, true);
+  parts.push(new Uint8Array(end.buffer));
+
+  return new Blob(parts, { type: "application/zip" });
+}
+
+export { crc32, createZip };
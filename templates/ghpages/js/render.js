@@ -13,6 +13,8 @@ window.commit = function commit() {};
   var template = {
     checkbox: _.template($("#template-checkbox").text()),
     select: _.template($("#template-select").text()),
+    list: _.template($("#template-list").text()),
+    handlers: _.template($("#template-handlers").text()),
   };
   var factory = {
     checkbox: function (key, data) {
@@ -35,6 +37,38 @@ window.commit = function commit() {};
       });
       return $.parseHTML(html);
     },
+
+    list: function (key, data) {
+      var html = template.list({
+        key: key,
+        value: data.value,
+        label: data.label,
+        help: data.help,
+      });
+      return $.parseHTML(html);
+    },
+
+    handlers: function (key, data) {
+      var html = template.handlers({
+        key: key,
+        value: data.value,
+        menu: data.menu,
+        label: data.label,
+        help: data.help,
+      });
+      var ui = $($.parseHTML(html));
+      var items = ui.find("li");
+
+      ui.find('input[type="search"]').on("input", function () {
+        var keyword = this.value.trim().toLowerCase();
+        items.each(function (k, v) {
+          var text = $(v).data("search").toLowerCase();
+          $(v).toggle(text.indexOf(keyword) >= 0);
+        });
+      });
+
+      return ui;
+    },
   };
 
   window.render = function (data) {
@@ -65,7 +99,7 @@ window.commit = function commit() {};
       var data = {};
 
       // checkbox
-      view.options.find('input[type="checkbox"]').each(function (k, v) {
+      view.options.find('input[type="checkbox"][name]').each(function (k, v) {
         data[v.name] = v.checked;
       });
       // select
@@ -73,6 +107,26 @@ window.commit = function commit() {};
         // TODO not always integer
         data[v.name] = parseInt(v.value, 10);
       });
+      // list, one entry per line
+      view.options.find("textarea.list").each(function (k, v) {
+        data[v.name] = _.filter(
+          _.map(v.value.split("\n"), function (line) {
+            return line.trim();
+          }),
+        );
+      });
+      // handlers
+      view.options.find(".handlers").each(function (k, v) {
+        var disabled = [];
+        $(v)
+          .find("input[data-handler-id]")
+          .each(function (k_, input) {
+            if (!input.checked) {
+              disabled.push($(input).data("handler-id"));
+            }
+          });
+        data[$(v).data("key")] = disabled;
+      });
 
       // commit changes
       // TODO this returns a promise.
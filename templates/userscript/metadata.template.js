@@ -11,27 +11,30 @@
 // @icon           https://raw.githubusercontent.com/adsbypasser/adsbypasser/v<%= version %>/static/img/logo.png
 // @grant          GM_deleteValue
 <% if (supportImage) { %>
+// @grant          GM_download
 // @grant          GM_getResourceURL
 <% } %>
 // @grant          GM_getValue
 // @grant          GM_info
 // @grant          GM_openInTab
 // @grant          GM_registerMenuCommand
+// @grant          GM_setClipboard
 // @grant          GM_setValue
 // @grant          GM_xmlhttpRequest
 // @grant          GM.deleteValue
 <% if (supportImage) { %>
+// @grant          GM.download
 // @grant          GM.getResourceUrl
 <% } %>
 // @grant          GM.getValue
 // @grant          GM.info
 // @grant          GM.openInTab
+// @grant          GM.setClipboard
 // @grant          GM.setValue
 // @grant          GM.xmlHttpRequest
 // @grant          unsafeWindow
 <% if (supportImage) { %>
 // @resource       alignCenter https://raw.githubusercontent.com/adsbypasser/adsbypasser/v<%= version %>/static/css/align_center.css
-// @resource       scaleImage https://raw.githubusercontent.com/adsbypasser/adsbypasser/v<%= version %>/static/css/scale_image.css
 // @resource       bgImage https://raw.githubusercontent.com/adsbypasser/adsbypasser/v<%= version %>/static/img/imagedoc-darknoise.png
 <% } %>
 // @noframes
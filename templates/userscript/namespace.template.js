@@ -1,14 +1,18 @@
 // Core utility imports
 import { get, post } from 'util/ajax';
+import { waitForCaptcha } from 'util/captcha';
 import { getCookie, setCookie, resetCookies } from 'util/cookie';
 import {
   AdsBypasserError,
+  CaptchaRequiredError,
+  SiteChangedError,
+  TimeoutError,
   find,
   forEach,
   none,
   partial,
   tryEvery,
-  wait,
+  waitUntil,
 } from 'util/core';
 import { register } from 'util/dispatcher';
 import {
@@ -19,12 +23,21 @@ import {
   remove,
   searchFromScripts,
   toDOM,
+  waitFor,
 } from 'util/dom';
 <% if (supportImage) { %>
-import { openImage } from 'util/image';
+import { setImageOpener } from 'util/declarative';
+import { openGallery, openImage } from 'util/image';
 <% } %>
 import { openLink } from 'util/link';
-import { info, warn } from 'util/logger';
+import {
+  debug,
+  error,
+  getLogLevel,
+  info,
+  trace,
+  warn,
+} from 'util/logger';
 import {
   evil,
   generateRandomIP,
@@ -32,25 +45,41 @@ import {
   removeAllTimer,
 } from 'util/misc';
 import { usw } from 'util/platform';
+import { countdown } from 'util/status';
 
 
 // Functional utility object
 const _ = {
   AdsBypasserError,
+  CaptchaRequiredError,
+  SiteChangedError,
+  TimeoutError,
+  debug,
+  error,
   evil,
   find,
   forEach,
   generateRandomIP,
+  getLogLevel,
   info,
   none,
   partial,
   register,
+  trace,
   tryEvery,
-  wait,
+  // shows the time left in the status notice
+  wait: countdown,
+  waitUntil,
   warn,
 };
 
 
+<% if (supportImage) { %>
+// the image code stays out of the lite edition
+setImageOpener(openImage);
+<% } %>
+
+
 // DOM utility wrapper
 function $(selector, context) {
   return querySelector(selector, context);
@@ -64,6 +93,7 @@ $.get = get;
 $.getCookie = getCookie;
 $.nuke = nuke;
 <% if (supportImage) { %>
+$.openGallery = openGallery;
 $.openImage = openImage;
 <% } %>
 $.openLink = openLink;
@@ -74,6 +104,8 @@ $.resetCookies = resetCookies;
 $.searchFromScripts = searchFromScripts;
 $.setCookie = setCookie;
 $.toDOM = toDOM;
+$.waitFor = waitFor;
+$.waitForCaptcha = waitForCaptcha;
 $.window = usw;
 
 
@@ -0,0 +1,111 @@
+// @vitest-environment jsdom
+import { describe, it, expect, afterEach, vi } from "vitest";
+import { detectCaptcha, waitForCaptcha } from "util/captcha";
+import { CaptchaRequiredError } from "util/core";
+import { CancelledError, hideStatus, showStatus } from "util/status";
+
+function getMessage() {
+  const host = document.documentElement.lastElementChild;
+  return host.shadowRoot.textContent;
+}
+
+describe("captcha", () => {
+  afterEach(() => {
+    hideStatus();
+    document.body.innerHTML = "";
+    vi.useRealTimers();
+  });
+
+  describe("detectCaptcha", () => {
+    it("finds the known widgets", () => {
+      document.body.innerHTML = '<div class="h-captcha"></div>';
+      expect(detectCaptcha()).toMatchObject({ type: "hCaptcha" });
+
+      document.body.innerHTML =
+        '<iframe src="https://challenges.cloudflare.com/x"></iframe>';
+      expect(detectCaptcha()).toMatchObject({ type: "Turnstile" });
+    });
+
+    it("ignores pages without a captcha", () => {
+      document.body.innerHTML = '<div class="captcha"></div>';
+      expect(detectCaptcha()).toBeNull();
+    });
+
+    it("ignores invisible widgets", () => {
+      document.body.innerHTML =
+        '<div class="g-recaptcha" data-size="invisible"></div>';
+      expect(detectCaptcha()).toBeNull();
+    });
+  });
+
+  describe("waitForCaptcha", () => {
+    it("returns at once without a captcha", async () => {
+      await expect(waitForCaptcha()).resolves.toBeNull();
+    });
+
+    it("resumes once the token is filled in", async () => {
+      vi.useFakeTimers();
+      document.body.innerHTML = `
+        <div class="g-recaptcha">
+          <textarea name="g-recaptcha-response"></textarea>
+        </div>`;
+      const widget = document.querySelector(".g-recaptcha");
+      widget.scrollIntoView = vi.fn();
+      showStatus("test");
+
+      let captcha = null;
+      waitForCaptcha().then((c) => (captcha = c));
+      await vi.advanceTimersByTimeAsync(0);
+      expect(widget.style.outline).not.toBe("");
+      expect(widget.scrollIntoView).toHaveBeenCalled();
+      expect(getMessage()).toContain("solve the reCAPTCHA to continue");
+
+      await vi.advanceTimersByTimeAsync(5000);
+      expect(captcha).toBeNull();
+
+      document.querySelector("textarea").value = "token";
+      await vi.advanceTimersByTimeAsync(500);
+      expect(captcha).toMatchObject({ type: "reCAPTCHA", element: widget });
+      expect(widget.style.outline).toBe("");
+      expect(getMessage()).not.toContain("solve the reCAPTCHA");
+    });
+
+    it("resumes once the submit button is enabled", async () => {
+      vi.useFakeTimers();
+      document.body.innerHTML = `
+        <div class="cf-turnstile"></div>
+        <button id="go" disabled>Go</button>`;
+
+      let captcha = null;
+      waitForCaptcha({ submit: "#go" }).then((c) => (captcha = c));
+      await vi.advanceTimersByTimeAsync(1000);
+      expect(captcha).toBeNull();
+
+      document.querySelector("#go").disabled = false;
+      await vi.advanceTimersByTimeAsync(500);
+      expect(captcha).toMatchObject({ type: "Turnstile" });
+    });
+
+    it("asks for a human once the time is up", async () => {
+      vi.useFakeTimers();
+      document.body.innerHTML = '<div class="h-captcha"></div>';
+      const promise = waitForCaptcha({ timeout: 5000 });
+      const assertion = expect(promise).rejects.toMatchObject({
+        code: "CAPTCHA_REQUIRED",
+        message: "the hCaptcha was not solved",
+      });
+      await vi.advanceTimersByTimeAsync(5000);
+      await assertion;
+      await expect(promise).rejects.toBeInstanceOf(CaptchaRequiredError);
+    });
+
+    it("stops with the signal", async () => {
+      document.body.innerHTML = '<div class="h-captcha"></div>';
+      const controller = new AbortController();
+      const promise = waitForCaptcha({ signal: controller.signal });
+      controller.abort(new CancelledError());
+      await expect(promise).rejects.toThrow(CancelledError);
+      expect(document.querySelector(".h-captcha").style.outline).toBe("");
+    });
+  });
+});
@@ -0,0 +1,84 @@
+import { describe, it, expect, beforeEach, vi } from "vitest";
+
+vi.mock("util/platform.js", () => import("./harness/platform.js"));
+
+const { register, withSite } = await import("util/dispatcher");
+const { resolveChain } = await import("util/chain");
+
+register({
+  rule: /^https:\/\/first\.example\/(.+)$/,
+  rewrite: {
+    replace: [[/^.*\/(.+)$/, "https://second.example/$1"]],
+  },
+});
+withSite({ id: "link/second.example", domains: ["second.example"] }, () => {
+  register({
+    rule: /^https:\/\/second\.example\/(.+)$/,
+    async resolve(m) {
+      return `https://final.example/${m[1]}`;
+    },
+  });
+});
+register({
+  rule: /^https:\/\/ping\.example\//,
+  rewrite: { replace: [["ping", "pong"]] },
+});
+register({
+  rule: /^https:\/\/pong\.example\//,
+  rewrite: { replace: [["pong", "ping"]] },
+});
+register({
+  rule: /^https:\/\/broken\.example\//,
+  async resolve() {
+    throw new Error("offline");
+  },
+});
+register({
+  rule: /^https:\/\/page\.example\//,
+  async ready() {},
+});
+
+describe("chain", () => {
+  beforeEach(() => {
+    globalThis.window = { location: new URL("https://page.example/") };
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+    vi.spyOn(console, "info").mockImplementation(() => {});
+  });
+
+  it("follows headless handlers to the end", async () => {
+    await expect(resolveChain("https://first.example/abc")).resolves.toBe(
+      "https://final.example/abc",
+    );
+  });
+
+  it("stops at handlers that need the page", async () => {
+    await expect(resolveChain("https://page.example/x")).resolves.toBe(
+      "https://page.example/x",
+    );
+  });
+
+  it("skips disabled handlers", async () => {
+    const disabled = ["link/second.example"];
+    await expect(
+      resolveChain("https://first.example/abc", { disabled }),
+    ).resolves.toBe("https://second.example/abc");
+  });
+
+  it("stops before a loop", async () => {
+    await expect(resolveChain("https://ping.example/")).resolves.toBe(
+      "https://pong.example/",
+    );
+  });
+
+  it("stops at the hop limit", async () => {
+    await expect(
+      resolveChain("https://first.example/abc", { maxHops: 1 }),
+    ).resolves.toBe("https://second.example/abc");
+  });
+
+  it("stops where the background request fails", async () => {
+    await expect(resolveChain("https://broken.example/")).resolves.toBe(
+      "https://broken.example/",
+    );
+  });
+});
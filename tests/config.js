@@ -0,0 +1,29 @@
+import { describe, it, expect, beforeEach, vi } from "vitest";
+
+vi.mock("util/platform.js", () => import("./harness/platform.js"));
+
+const { GMAPI, resetPlatform, storage } = await import("util/platform.js");
+const { dumpConfig, loadConfig } = await import("util/config");
+
+describe("config", () => {
+  beforeEach(() => {
+    resetPlatform();
+  });
+
+  it("fills in missing values", async () => {
+    await loadConfig();
+    const config = await dumpConfig();
+    expect(config.redirect_image).toBe(true);
+    expect(config.disabled_handlers).toEqual([]);
+  });
+
+  it("writes only what is missing or invalid", async () => {
+    await loadConfig();
+    GMAPI.setValue.mockClear();
+    storage.set("log_level", "loud");
+
+    await loadConfig();
+    expect(GMAPI.setValue).toHaveBeenCalledTimes(1);
+    expect(GMAPI.setValue).toHaveBeenCalledWith("log_level", 1);
+  });
+});
@@ -1,12 +1,18 @@
-import { describe, it, expect } from "vitest";
+import { describe, it, expect, afterEach, vi } from "vitest";
 import {
   AdsBypasserError,
+  CaptchaRequiredError,
+  SiteChangedError,
+  TimeoutError,
+  cancellable,
   partial,
   every,
   find,
   none,
   forEach,
   map,
+  tryEvery,
+  waitUntil,
 } from "util/core";
 
 describe("core", () => {
@@ -84,4 +90,107 @@ describe("core", () => {
       });
     });
   });
+
+  describe("timing", () => {
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    describe("cancellable", () => {
+      it("cleans up when start throws", async () => {
+        vi.useFakeTimers();
+        const controller = new AbortController();
+        const removed = vi.spyOn(controller.signal, "removeEventListener");
+        const promise = cancellable(
+          () => {
+            throw new AdsBypasserError("boom");
+          },
+          { timeout: 500, signal: controller.signal },
+        );
+        await expect(promise).rejects.toThrow("boom");
+        expect(vi.getTimerCount()).toBe(0);
+        expect(removed).toHaveBeenCalledWith("abort", expect.any(Function));
+      });
+    });
+
+    describe("tryEvery", () => {
+      it("resolves with the first result other than none", async () => {
+        vi.useFakeTimers();
+        let count = 0;
+        const promise = tryEvery(100, () => (++count < 3 ? none : count));
+        await vi.advanceTimersByTimeAsync(300);
+        await expect(promise).resolves.toBe(3);
+        expect(vi.getTimerCount()).toBe(0);
+      });
+
+      it("rejects with TimeoutError", async () => {
+        vi.useFakeTimers();
+        const promise = tryEvery(100, () => none, { timeout: 500 });
+        const assertion = expect(promise).rejects.toThrow(TimeoutError);
+        await vi.advanceTimersByTimeAsync(500);
+        await assertion;
+        expect(vi.getTimerCount()).toBe(0);
+      });
+
+      it("rejects when cancelled", async () => {
+        vi.useFakeTimers();
+        const controller = new AbortController();
+        const promise = tryEvery(100, () => none, {
+          signal: controller.signal,
+        });
+        const assertion = expect(promise).rejects.toThrow();
+        controller.abort();
+        await assertion;
+        expect(vi.getTimerCount()).toBe(0);
+      });
+
+      it("rejects when the callback throws", async () => {
+        vi.useFakeTimers();
+        const promise = tryEvery(100, () => {
+          throw new AdsBypasserError("boom");
+        });
+        const assertion = expect(promise).rejects.toThrow("boom");
+        await vi.advanceTimersByTimeAsync(100);
+        await assertion;
+      });
+    });
+
+    describe("waitUntil", () => {
+      it("resolves right away if the predicate holds", async () => {
+        await expect(waitUntil(() => "ok")).resolves.toBe("ok");
+      });
+
+      it("polls until the predicate holds", async () => {
+        vi.useFakeTimers();
+        let ready = false;
+        const promise = waitUntil(() => ready, { interval: 50 });
+        await vi.advanceTimersByTimeAsync(200);
+        ready = true;
+        await vi.advanceTimersByTimeAsync(50);
+        await expect(promise).resolves.toBe(true);
+      });
+
+      it("rejects with TimeoutError", async () => {
+        vi.useFakeTimers();
+        const promise = waitUntil(() => false, { timeout: 1000 });
+        const assertion = expect(promise).rejects.toThrow(TimeoutError);
+        await vi.advanceTimersByTimeAsync(1000);
+        await assertion;
+      });
+    });
+  });
+
+  describe("errors", () => {
+    it("have machine readable codes", () => {
+      expect(new AdsBypasserError("x").code).toBe("ERROR");
+      expect(new TimeoutError(1).code).toBe("TIMEOUT");
+      expect(new SiteChangedError().code).toBe("SITE_CHANGED");
+      expect(new CaptchaRequiredError().code).toBe("CAPTCHA_REQUIRED");
+    });
+
+    it("stay AdsBypasserError", () => {
+      expect(new SiteChangedError()).toBeInstanceOf(AdsBypasserError);
+      expect(new CaptchaRequiredError().name).toBe("CaptchaRequiredError");
+    });
+  });
 });
@@ -0,0 +1,54 @@
+import { describe, it, expect } from "vitest";
+import { AdsBypasserError } from "util/core";
+import { isDeclarative, validateDeclarative } from "util/declarative";
+
+describe("declarative", () => {
+  describe("isDeclarative", () => {
+    it("detects declarative handlers", () => {
+      expect(isDeclarative({ rule: /a/, click: "#b" })).toBe(true);
+      expect(isDeclarative({ rule: /a/, link: "a" })).toBe(true);
+      expect(isDeclarative({ rule: /a/, image: "img" })).toBe(true);
+      expect(isDeclarative({ rule: /a/, ready() {} })).toBe(false);
+    });
+  });
+
+  describe("validateDeclarative", () => {
+    it("accepts a single action with timings", () => {
+      expect(() =>
+        validateDeclarative({
+          rule: /a/,
+          delay: 1000,
+          wait: 5000,
+          click: "#b",
+        }),
+      ).not.toThrow();
+    });
+
+    it("rejects several actions", () => {
+      expect(() =>
+        validateDeclarative({ rule: /a/, click: "#b", link: "a" }),
+      ).toThrow(AdsBypasserError);
+    });
+
+    it("rejects mixing with code", () => {
+      expect(() =>
+        validateDeclarative({ rule: /a/, click: "#b", ready() {} }),
+      ).toThrow(AdsBypasserError);
+    });
+
+    it("rejects empty selectors", () => {
+      expect(() => validateDeclarative({ rule: /a/, click: "" })).toThrow(
+        AdsBypasserError,
+      );
+    });
+
+    it("rejects invalid timings", () => {
+      expect(() =>
+        validateDeclarative({ rule: /a/, wait: "5s", click: "#b" }),
+      ).toThrow(AdsBypasserError);
+      expect(() =>
+        validateDeclarative({ rule: /a/, delay: -1, click: "#b" }),
+      ).toThrow(AdsBypasserError);
+    });
+  });
+});
@@ -0,0 +1,89 @@
+import { describe, it, expect, beforeEach, vi } from "vitest";
+
+vi.mock("util/platform.js", () => import("./harness/platform.js"));
+
+const { resetPlatform, storage } = await import("util/platform.js");
+const { findDenyingEntry, matchEntry } = await import("util/destination");
+
+describe("destination", () => {
+  beforeEach(() => {
+    resetPlatform();
+    globalThis.window = { location: new URL("https://short.example/abc") };
+  });
+
+  describe("matchEntry", () => {
+    it("matches domains and their subdomains", () => {
+      expect(matchEntry("evil.example", "https://evil.example/")).toBe(true);
+      expect(matchEntry("evil.example", "http://cdn.evil.example/x")).toBe(
+        true,
+      );
+      expect(matchEntry("evil.example", "https://notevil.example/")).toBe(
+        false,
+      );
+    });
+
+    it("matches wildcard domains", () => {
+      expect(matchEntry("*.evil.example", "https://evil.example/")).toBe(true);
+      expect(matchEntry("*.evil.example", "https://cdn.evil.example/")).toBe(
+        true,
+      );
+      expect(matchEntry("*.evil.example", "https://notevil.example/")).toBe(
+        false,
+      );
+    });
+
+    it("ignores the case of domains", () => {
+      expect(matchEntry("Evil.Example", "https://CDN.EVIL.example/")).toBe(
+        true,
+      );
+      expect(matchEntry("*.EVIL.example", "https://evil.example/")).toBe(true);
+    });
+
+    it("matches everything with a wildcard", () => {
+      expect(matchEntry("*", "https://example.com/")).toBe(true);
+    });
+
+    it("matches patterns", () => {
+      const pattern = "*://*.evil.example/download/*";
+      expect(matchEntry(pattern, "https://evil.example/download/a")).toBe(true);
+      expect(matchEntry(pattern, "http://www.evil.example/download/a")).toBe(
+        true,
+      );
+      expect(matchEntry(pattern, "https://evil.example/about")).toBe(false);
+      expect(matchEntry(pattern, "https://notevil.example/download/a")).toBe(
+        false,
+      );
+    });
+  });
+
+  describe("findDenyingEntry", () => {
+    it("allows everything by default", async () => {
+      await expect(findDenyingEntry("https://example.com/")).resolves.toBe(
+        null,
+      );
+    });
+
+    it("returns the denying entry", async () => {
+      storage.set("denied_destinations", ["good.example", "evil.example"]);
+      await expect(findDenyingEntry("https://www.evil.example/")).resolves.toBe(
+        "evil.example",
+      );
+    });
+
+    it("lets the allow list take precedence", async () => {
+      storage.set("denied_destinations", ["*"]);
+      storage.set("allowed_destinations", ["good.example"]);
+      await expect(findDenyingEntry("https://good.example/")).resolves.toBe(
+        null,
+      );
+      await expect(findDenyingEntry("https://other.example/")).resolves.toBe(
+        "*",
+      );
+    });
+
+    it("resolves relative destinations against the page", async () => {
+      storage.set("denied_destinations", ["short.example"]);
+      await expect(findDenyingEntry("/next")).resolves.toBe("short.example");
+    });
+  });
+});
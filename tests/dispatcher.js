@@ -0,0 +1,296 @@
+import { describe, it, expect, beforeEach } from "vitest";
+import { AdsBypasserError } from "util/core";
+import {
+  createRegistry,
+  findHandler,
+  listSites,
+  matchURL,
+  register,
+  rewriteURL,
+  toFullSize,
+  validateFullSize,
+  withSite,
+} from "util/dispatcher";
+
+function visit(url) {
+  globalThis.window = { location: new URL(url) };
+}
+
+describe("dispatcher", () => {
+  beforeEach(() => {
+    visit("https://example.com/");
+  });
+
+  describe("withSite", () => {
+    it("tags handlers with the site id", () => {
+      const pattern = {
+        rule: { host: /^tagged\.example$/ },
+        ready() {},
+      };
+      withSite({ id: "link/tagged.example", domains: ["tagged.example"] }, () =>
+        register(pattern),
+      );
+      expect(pattern.id).toBe("link/tagged.example");
+    });
+
+    it("does not tag handlers registered outside of a site", () => {
+      const pattern = {
+        rule: { host: /^untagged\.example$/ },
+        ready() {},
+      };
+      register(pattern);
+      expect(pattern.id).toBe(null);
+    });
+
+    it("lists registered sites sorted by id", () => {
+      withSite({ id: "file/b.example", domains: ["b.example"] }, () => {});
+      withSite({ id: "file/a.example", domains: ["a.example"] }, () => {});
+      const ids = listSites().map((site) => site.id);
+      expect(ids.indexOf("file/a.example")).toBeLessThan(
+        ids.indexOf("file/b.example"),
+      );
+    });
+  });
+
+  describe("findHandler", () => {
+    withSite({ id: "link/first", domains: ["shared.example"] }, () => {
+      register({
+        rule: { host: /^shared\.example$/ },
+        ready: () => "first",
+      });
+    });
+    withSite({ id: "link/second", domains: ["shared.example"] }, () => {
+      register({
+        rule: { host: /^shared\.example$/ },
+        ready: () => "second",
+      });
+    });
+
+    it("returns the first matching handler", () => {
+      visit("https://shared.example/abc");
+      const handler = findHandler();
+      expect(handler.id).toBe("link/first");
+      expect(handler.ready()).toBe("first");
+    });
+
+    it("skips disabled handlers", () => {
+      visit("https://shared.example/abc");
+      const handler = findHandler(["link/first"]);
+      expect(handler.id).toBe("link/second");
+      expect(handler.ready()).toBe("second");
+    });
+
+    it("returns null if every matching handler is disabled", () => {
+      visit("https://shared.example/abc");
+      expect(findHandler(["link/first", "link/second"])).toBe(null);
+    });
+  });
+
+  describe("matchURL", () => {
+    const registry = createRegistry();
+    const regexp = { rule: /^https:\/\/regexp\.example\/(\w+)$/ };
+    const glob = { rule: "https://*.glob.example/go/*" };
+    const anyScheme = { rule: "*://scheme.example/*" };
+    const parts = { rule: { host: /^parts\.example$/, query: /id=(\d+)/ } };
+    const subRule = { host: /^second\.example$/ };
+    const array = {
+      rule: [{ host: /^first\.example$/ }, subRule],
+    };
+    registry.register(regexp);
+    registry.register(glob);
+    registry.register(anyScheme);
+    registry.register(parts);
+    registry.register(array);
+
+    it("matches a RegExp rule", () => {
+      const r = registry.matchURL("https://regexp.example/abc");
+      expect(r.handler).toBe(regexp);
+      expect(r.rule).toBe(regexp.rule);
+      expect(r.match[1]).toBe("abc");
+    });
+
+    it("matches a string rule", () => {
+      const r = registry.matchURL("https://www.glob.example/go/abc");
+      expect(r.handler).toBe(glob);
+      expect(r.match.host).toBe("www.glob.example");
+    });
+
+    it("matches the domain of a string rule, not lookalikes", () => {
+      expect(registry.matchURL("https://glob.example/go/abc").handler).toBe(
+        glob,
+      );
+      expect(registry.matchURL("https://badglob.example/go/abc")).toBe(null);
+    });
+
+    it("matches http and https with a wildcard scheme", () => {
+      expect(registry.matchURL("http://scheme.example/a").handler).toBe(
+        anyScheme,
+      );
+      expect(registry.matchURL("https://scheme.example/a").handler).toBe(
+        anyScheme,
+      );
+      expect(registry.matchURL("ftp://scheme.example/a")).toBe(null);
+    });
+
+    it("matches an object rule", () => {
+      const r = registry.matchURL("https://parts.example/?id=42");
+      expect(r.handler).toBe(parts);
+      expect(r.match.query[1]).toBe("42");
+    });
+
+    it("reports the sub-rule that fired in an array rule", () => {
+      const r = registry.matchURL("https://second.example/");
+      expect(r.handler).toBe(array);
+      expect(r.rule).toBe(subRule);
+    });
+
+    it("returns null without a match", () => {
+      expect(registry.matchURL("https://none.example/")).toBe(null);
+    });
+
+    it("searches only the given handlers", () => {
+      const r = registry.matchURL("https://regexp.example/abc", [glob]);
+      expect(r).toBe(null);
+    });
+
+    it("accepts URL objects", () => {
+      const r = matchURL(new URL("https://parts.example/?id=1"), [parts]);
+      expect(r.handler).toBe(parts);
+    });
+
+    it("keeps registries isolated", () => {
+      expect(matchURL("https://regexp.example/abc")).toBe(null);
+      expect(createRegistry().matchURL("https://regexp.example/abc")).toBe(
+        null,
+      );
+    });
+  });
+
+  describe("rewriteURL", () => {
+    it("applies replacements in order", () => {
+      const to = rewriteURL(
+        {
+          replace: [
+            ["/ia-", "/"],
+            [".html", ""],
+          ],
+        },
+        "https://img.example/ia-a/abc.jpeg.html",
+      );
+      expect(to).toBe("https://img.example/a/abc.jpeg");
+    });
+
+    it("decodes base64", () => {
+      const to = rewriteURL(
+        {
+          replace: [[/^.*?\/o\/([a-zA-Z0-9]+).*$/, "$1"]],
+          decode: "base64",
+        },
+        "https://binbox.io/o/aHR0cHM6Ly9leGFtcGxlLmNvbS8",
+      );
+      expect(to).toBe("https://example.com/");
+    });
+
+    it("reads a raw query parameter and decodes it", () => {
+      const to = rewriteURL(
+        { fromQuery: "url", decode: "uri" },
+        "https://go.example/?x=1&url=https%3A%2F%2Fexample.com%2F%3Fa%2Bb&y=2",
+      );
+      expect(to).toBe("https://example.com/?a+b");
+    });
+
+    it("throws if the query parameter is missing", () => {
+      expect(() =>
+        rewriteURL({ fromQuery: "url" }, "https://go.example/?xurl=1"),
+      ).toThrow(AdsBypasserError);
+    });
+
+    it("throws on unknown decoders", () => {
+      expect(() =>
+        rewriteURL({ decode: "rot13" }, "https://go.example/"),
+      ).toThrow(AdsBypasserError);
+    });
+  });
+
+  describe("findHandler with rewrite", () => {
+    it("creates a handler for declarative rules", () => {
+      const registry = createRegistry();
+      registry.register({
+        rule: { host: /^rewrite\.example$/ },
+        rewrite: { replace: [["rewrite", "target"]] },
+      });
+      visit("https://rewrite.example/a");
+      const handler = registry.findHandler();
+      expect(handler.start).toBeTypeOf("function");
+      expect(handler.ready).toBeTypeOf("function");
+    });
+  });
+
+  describe("listFullSizeRules", () => {
+    it("lists the rules of one site only", () => {
+      const registry = createRegistry();
+      const page = [/_t\./, "_o."];
+      const gallery = [/\/th\//, "/i/"];
+      registry.withSite({ id: "image/a.example", domains: [] }, () => {
+        registry.register({ rule: /a\.example\/g\//, async ready() {} });
+        registry.register({
+          rule: /a\.example/,
+          image: "#img",
+          fullsize: [page, gallery],
+        });
+      });
+      registry.withSite({ id: "image/b.example", domains: [] }, () => {
+        registry.register({
+          rule: /b\.example/,
+          image: "#img",
+          fullsize: [[/b/, "c"]],
+        });
+      });
+
+      expect(registry.listFullSizeRules("image/a.example")).toEqual([
+        page,
+        gallery,
+      ]);
+      expect(registry.listFullSizeRules(null)).toEqual([]);
+    });
+  });
+
+  const RULES = [
+    [
+      /^https:\/\/thumbs(\d+)\.host\.example\/(.+)_t\.(\w+)$/,
+      "https://images$1.host.example/$2_o.$3",
+    ],
+    [/\/th\//, "/i/"],
+  ];
+
+  describe("toFullSize", () => {
+    it("upgrades thumbnails of known hosts", () => {
+      expect(
+        toFullSize("https://thumbs2.host.example/4f/abc_t.png", RULES),
+      ).toBe("https://images2.host.example/4f/abc_o.png");
+      expect(toFullSize("https://img9.other.example/th/1/abc.jpg", RULES)).toBe(
+        "https://img9.other.example/i/1/abc.jpg",
+      );
+    });
+
+    it("leaves other images alone", () => {
+      expect(toFullSize("https://cdn.example/abc.jpg", RULES)).toBe(
+        "https://cdn.example/abc.jpg",
+      );
+      expect(toFullSize(undefined, RULES)).toBe(undefined);
+    });
+  });
+
+  describe("validateFullSize", () => {
+    it("accepts pattern and replacement pairs", () => {
+      expect(() => validateFullSize(RULES)).not.toThrow();
+      expect(() => validateFullSize([[/a/, (m) => m]])).not.toThrow();
+    });
+
+    it("rejects anything else", () => {
+      expect(() => validateFullSize(/a/)).toThrow("must be a list");
+      expect(() => validateFullSize([["a", "b"]])).toThrow("`fullsize` needs");
+      expect(() => validateFullSize([[/a/]])).toThrow("`fullsize` needs");
+    });
+  });
+});
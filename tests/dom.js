@@ -0,0 +1,67 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeEach } from "vitest";
+import { TimeoutError } from "util/core";
+import { waitFor } from "util/dom";
+
+describe("dom", () => {
+  describe("waitFor", () => {
+    beforeEach(() => {
+      document.body.innerHTML = "";
+    });
+
+    it("resolves right away if the element is there", async () => {
+      document.body.innerHTML = '<a id="go" href="/next">go</a>';
+      const a = await waitFor("#go");
+      expect(a.id).toBe("go");
+    });
+
+    it("resolves when the element is added", async () => {
+      const promise = waitFor("#go");
+      const a = document.createElement("a");
+      a.id = "go";
+      document.body.appendChild(a);
+      await expect(promise).resolves.toBe(a);
+    });
+
+    it("waits for the element to become visible and enabled", async () => {
+      document.body.innerHTML =
+        '<div style="display: none"><button class="disabled">go</button></div>';
+      const button = document.querySelector("button");
+      let found = null;
+      const promise = waitFor("button", { visible: true, enabled: true }).then(
+        (node) => {
+          found = node;
+        },
+      );
+
+      button.parentElement.style.display = "block";
+      await Promise.resolve();
+      expect(found).toBe(null);
+
+      button.classList.remove("disabled");
+      await promise;
+      expect(found).toBe(button);
+    });
+
+    it("waits for an attribute to be filled in", async () => {
+      document.body.innerHTML = '<a id="go" href="">go</a>';
+      const promise = waitFor("#go", { attribute: "href" });
+      document.querySelector("#go").setAttribute("href", "/next");
+      const a = await promise;
+      expect(a.getAttribute("href")).toBe("/next");
+    });
+
+    it("rejects with TimeoutError", async () => {
+      await expect(waitFor("#missing", { timeout: 20 })).rejects.toThrow(
+        TimeoutError,
+      );
+    });
+
+    it("rejects when cancelled", async () => {
+      const controller = new AbortController();
+      const promise = waitFor("#missing", { signal: controller.signal });
+      controller.abort();
+      await expect(promise).rejects.toThrow();
+    });
+  });
+});
@@ -3,6 +3,7 @@ import {
   isValidDomain,
   extractDomainsFromContent,
   extractDomainsFromCommitMessage,
+  extractExampleURLsFromContent,
   deduplicateRootDomains,
 } from "../build/domain.js";
 
@@ -138,6 +139,35 @@ describe("domain", () => {
     });
   });
 
+  describe("extractExampleURLsFromContent", () => {
+    it("extracts example URLs from JSDoc comments", () => {
+      const content = `
+        /**
+         * @domain example.com
+         * @example-url https://example.com/abc
+         * @example-url https://example.com/go/abc?x=1
+         */
+      `;
+
+      const urls = extractExampleURLsFromContent(content);
+      expect(urls).toEqual([
+        "https://example.com/abc",
+        "https://example.com/go/abc?x=1",
+      ]);
+    });
+
+    it("does not mistake example URLs for domains", () => {
+      const content = `
+        /**
+         * @domain example.com
+         * @example-url https://example.com/abc
+         */
+      `;
+
+      expect(extractDomainsFromContent(content)).toEqual(["example.com"]);
+    });
+  });
+
   describe("extractDomainsFromCommitMessage", () => {
     it("extracts domains from fix: commit messages", () => {
       const commitMessages = [
@@ -0,0 +1,125 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+
+const getBlob = vi.fn();
+
+vi.mock("util/platform.js", () => import("./harness/platform.js"));
+vi.mock("util/ajax.js", () => ({ getBlob }));
+
+const { GMAPI } = await import("util/platform.js");
+const { downloadGallery, getFilename, saveImage } = await import(
+  "util/download"
+);
+const { createGallery } = await import("util/gallery");
+
+function fakeBlob(text) {
+  const bytes = new TextEncoder().encode(text);
+  return { arrayBuffer: async () => bytes.buffer };
+}
+
+describe("download", () => {
+  let saved = null;
+
+  beforeEach(() => {
+    GMAPI.download = null;
+    getBlob.mockReset();
+    saved = [];
+    URL.createObjectURL = vi.fn((blob) => {
+      saved.push({ blob });
+      return "blob:saved";
+    });
+    URL.revokeObjectURL = vi.fn();
+    vi.spyOn(window.HTMLAnchorElement.prototype, "click").mockImplementation(
+      function () {
+        saved[saved.length - 1].name = this.download;
+      },
+    );
+    vi.spyOn(console, "info").mockImplementation(() => {});
+    document.title = "Holiday - AdsBypasser";
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  describe("getFilename", () => {
+    it("keeps the original name of the image", () => {
+      expect(
+        getFilename("https://img.example/a/My%20Photo.PNG?size=full"),
+      ).toBe("My Photo.PNG");
+    });
+
+    it("falls back to the title and the image id of the page", () => {
+      expect(
+        getFilename("https://img.example/view?id=1", {
+          page: "https://host.example/img/Ab3dEf.html",
+        }),
+      ).toBe("Holiday - Ab3dEf.jpg");
+    });
+
+    it("removes characters file systems reject", () => {
+      expect(
+        getFilename("https://img.example/x", {
+          page: "https://host.example/",
+          title: 'a/b: "c"',
+        }),
+      ).toBe("a_b_ _c_.jpg");
+    });
+  });
+
+  describe("saveImage", () => {
+    it("prefers GM_download", async () => {
+      GMAPI.download = vi.fn(async () => {});
+      await saveImage("https://img.example/a.jpg", "a.jpg");
+      expect(GMAPI.download).toHaveBeenCalledWith(
+        expect.objectContaining({ url: "https://img.example/a.jpg" }),
+      );
+      expect(getBlob).not.toHaveBeenCalled();
+    });
+
+    it("fetches the image when GM_download fails", async () => {
+      GMAPI.download = vi.fn(async () => {
+        throw new Error("not_whitelisted");
+      });
+      getBlob.mockResolvedValue(fakeBlob("image"));
+      await saveImage("https://img.example/a.jpg", "a.jpg");
+      expect(getBlob).toHaveBeenCalledWith("https://img.example/a.jpg");
+      expect(saved).toEqual([{ blob: expect.anything(), name: "a.jpg" }]);
+    });
+  });
+
+  describe("downloadGallery", () => {
+    const gallery = () =>
+      createGallery([
+        { page: "/a", image: "https://img.example/a.jpg" },
+        { page: "/b", image: "https://img.example/b.jpg" },
+        { page: "/c", image: "https://img.example/c.jpg" },
+      ]);
+
+    it("saves the images in order", async () => {
+      GMAPI.download = vi.fn(async () => {});
+      const onProgress = vi.fn();
+      const result = await downloadGallery(gallery(), { onProgress });
+      expect(GMAPI.download.mock.calls.map(([d]) => d.name)).toEqual([
+        "1 a.jpg",
+        "2 b.jpg",
+        "3 c.jpg",
+      ]);
+      expect(onProgress).toHaveBeenLastCalledWith(3, 3);
+      expect(result).toEqual({ saved: 3, failed: 0 });
+    });
+
+    it("packs the images in a zip and skips failures", async () => {
+      vi.spyOn(console, "warn").mockImplementation(() => {});
+      getBlob
+        .mockResolvedValueOnce(fakeBlob("a"))
+        .mockRejectedValueOnce(new Error("404"))
+        .mockResolvedValueOnce(fakeBlob("c"));
+      const result = await downloadGallery(gallery(), { zip: true });
+      expect(result).toEqual({ saved: 2, failed: 1 });
+      expect(saved).toHaveLength(1);
+      expect(saved[0].name).toBe("Holiday.zip");
+      expect(saved[0].blob.type).toBe("application/zip");
+    });
+  });
+});
@@ -0,0 +1,109 @@
+// @vitest-environment jsdom
+import { describe, it, expect, afterEach, vi } from "vitest";
+import { createGallery, showGallery } from "util/gallery";
+
+const PAGES = ["/a", "/b", "/c", "/d"].map(
+  (path) => new URL(path, window.location.href).href,
+);
+
+function createPage() {
+  const wrapper = document.createElement("div");
+  const img = document.createElement("img");
+  wrapper.appendChild(img);
+  document.body.appendChild(wrapper);
+  return { wrapper, img };
+}
+
+async function flush() {
+  for (let i = 0; i < 5; ++i) await Promise.resolve();
+}
+
+describe("gallery", () => {
+  afterEach(() => {
+    document.body.innerHTML = "";
+    vi.restoreAllMocks();
+  });
+
+  describe("createGallery", () => {
+    it("rejects an empty gallery", () => {
+      expect(() => createGallery([])).toThrow("the gallery is empty");
+    });
+
+    it("resolves each page once", async () => {
+      const resolve = vi.fn(async (page) => `${page}.jpg`);
+      const gallery = createGallery(PAGES, { resolve });
+      await expect(gallery.getImage(1)).resolves.toBe(`${PAGES[1]}.jpg`);
+      await gallery.getImage(1);
+      expect(resolve).toHaveBeenCalledTimes(1);
+    });
+
+    it("uses known images as they are", async () => {
+      const gallery = createGallery([{ page: "/a", image: "/a.jpg" }]);
+      await expect(gallery.getImage(0)).resolves.toBe("/a.jpg");
+    });
+
+    it("tries a failed page again", async () => {
+      const resolve = vi
+        .fn()
+        .mockRejectedValueOnce(new Error("offline"))
+        .mockResolvedValueOnce("/b.jpg");
+      const gallery = createGallery(PAGES, { resolve });
+      await expect(gallery.getImage(1)).rejects.toThrow("offline");
+      await expect(gallery.getImage(1)).resolves.toBe("/b.jpg");
+    });
+  });
+
+  describe("showGallery", () => {
+    function show(start) {
+      const resolve = vi.fn(async (page) => `${page}.jpg`);
+      const gallery = createGallery(
+        PAGES.map((page) => ({ page, thumb: `${page}_t.jpg` })),
+        { resolve },
+      );
+      const { wrapper, img } = createPage();
+      const controls = showGallery(wrapper, img, gallery, start);
+      return { controls, img, resolve, wrapper };
+    }
+
+    it("shows the start image and prefetches its neighbors", async () => {
+      const { img, resolve } = show(1);
+      await flush();
+      expect(img.src).toBe(`${PAGES[1]}.jpg`);
+      expect(resolve.mock.calls.map(([page]) => page).sort()).toEqual(
+        PAGES.slice(0, 3),
+      );
+    });
+
+    it("moves with the buttons, the keys and the strip", async () => {
+      const { controls, img, wrapper } = show(0);
+
+      wrapper.querySelector('button[name="next"]').click();
+      await flush();
+      expect(controls.index).toBe(1);
+      expect(img.src).toBe(`${PAGES[1]}.jpg`);
+      expect(window.location.href).toBe(PAGES[1]);
+
+      document.dispatchEvent(
+        new window.KeyboardEvent("keydown", { key: "PageDown" }),
+      );
+      await flush();
+      expect(controls.index).toBe(2);
+
+      const thumbs = wrapper.querySelectorAll("button[title]");
+      expect(thumbs).toHaveLength(4);
+      thumbs[3].click();
+      await flush();
+      expect(img.src).toBe(`${PAGES[3]}.jpg`);
+    });
+
+    it("stops at both ends", async () => {
+      const { controls } = show(0);
+      await controls.previous();
+      expect(controls.index).toBe(0);
+      await controls.show(10);
+      expect(controls.index).toBe(3);
+      await controls.next();
+      expect(controls.index).toBe(3);
+    });
+  });
+});
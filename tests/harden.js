@@ -0,0 +1,118 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+
+vi.mock("util/platform.js", () => import("./harness/platform.js"));
+
+const { resetPlatform, storage } = await import("util/platform.js");
+const { applyHardening, validateHardening } = await import("util/harden");
+
+function navigate(url) {
+  const event = new window.Event("navigate", { cancelable: true });
+  event.destination = { url };
+  window.navigation.dispatchEvent(event);
+  return event.defaultPrevented;
+}
+
+describe("harden", () => {
+  beforeEach(() => {
+    resetPlatform();
+    vi.spyOn(console, "info").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    document.body.innerHTML = "";
+    delete window.navigation;
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  describe("validateHardening", () => {
+    it("accepts lists and objects", () => {
+      expect(() => validateHardening(["popunder", "adblock"])).not.toThrow();
+      expect(() =>
+        validateHardening({ overlay: "#cover", redirect: ["ads.example"] }),
+      ).not.toThrow();
+    });
+
+    it("rejects unknown names and bad options", () => {
+      expect(() => validateHardening("popunder")).toThrow(/list or an object/);
+      expect(() => validateHardening(["toString"])).toThrow(/unknown/);
+      expect(() => validateHardening({ overlay: 1 })).toThrow(/selector/);
+      expect(() => validateHardening({ redirect: "ads" })).toThrow(/list/);
+    });
+  });
+
+  describe("applyHardening", () => {
+    it("does nothing without a spec", async () => {
+      await expect(applyHardening(undefined, "start")).resolves.toBe(undefined);
+    });
+
+    it("drops page wide click listeners", async () => {
+      await applyHardening(["popunder"], "start");
+      await applyHardening(["popunder"], "ready");
+
+      const hijack = vi.fn();
+      document.addEventListener("click", hijack);
+      document.body.addEventListener("mousedown", hijack);
+      document.onclick = hijack;
+      const keep = vi.fn();
+      document.addEventListener("keydown", keep);
+
+      document.body.dispatchEvent(
+        new window.MouseEvent("click", { bubbles: true }),
+      );
+      document.body.dispatchEvent(
+        new window.MouseEvent("mousedown", { bubbles: true }),
+      );
+      document.dispatchEvent(new window.KeyboardEvent("keydown"));
+      expect(hijack).not.toHaveBeenCalled();
+      expect(keep).toHaveBeenCalled();
+    });
+
+    it("tells adblock detectors nothing is blocked", async () => {
+      vi.useFakeTimers();
+      await applyHardening(["adblock"], "start");
+
+      window.canRunAds = false;
+      expect(window.canRunAds).toBe(true);
+
+      const detected = vi.fn();
+      const notDetected = vi.fn();
+      window.blockAdBlock.onDetected(detected).onNotDetected(notDetected);
+      new window.FuckAdBlock().on(false, notDetected);
+      await vi.advanceTimersByTimeAsync(0);
+      expect(detected).not.toHaveBeenCalled();
+      expect(notDetected).toHaveBeenCalledTimes(2);
+    });
+
+    it("removes overlays, also the ones added later", async () => {
+      vi.useFakeTimers();
+      document.body.innerHTML = '<div id="overlay"></div><p>content</p>';
+      document.body.style.overflow = "hidden";
+      await applyHardening(["overlay"], "ready");
+      expect(document.querySelector("#overlay")).toBeNull();
+
+      const cover = document.createElement("div");
+      cover.className = "cover";
+      document.body.appendChild(cover);
+      await applyHardening({ overlay: ".cover" }, "ready");
+      expect(document.querySelector(".cover")).toBeNull();
+
+      await vi.advanceTimersByTimeAsync(500);
+      expect(document.body.style.overflow).toBe("initial");
+      expect(document.querySelector("p")).not.toBeNull();
+    });
+
+    it("blocks redirects to denied destinations", async () => {
+      window.navigation = new window.EventTarget();
+      storage.set("denied_destinations", ["tracker.example"]);
+      storage.set("allowed_destinations", ["ok.ads.example"]);
+      await applyHardening({ redirect: ["ads.example"] }, "start");
+
+      expect(navigate("https://ads.example/pop")).toBe(true);
+      expect(navigate("https://tracker.example/")).toBe(true);
+      expect(navigate("https://ok.ads.example/")).toBe(false);
+      expect(navigate("https://file.example/")).toBe(false);
+    });
+  });
+});
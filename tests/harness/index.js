@@ -0,0 +1,192 @@
+/**
+ * Headless harness to run site handlers against saved HTML pages
+ */
+import fs from "fs/promises";
+import path from "path";
+
+import { vi } from "vitest";
+
+import { SITES_DIR, createSandbox, loadSite } from "../../build/sandbox.js";
+
+/**
+ * Create a fresh page with the userscript namespace loaded, no site is
+ * registered yet
+ * @param {Object} options - See createSandbox() in build/sandbox.js
+ * @returns {Promise<Object>} `{ dom, gm, _, $, close }` plus the dispatcher
+ *   exports `createRegistry`, `findHandler`, `matchURL` and `withSite`
+ */
+export async function createEnvironment(options) {
+  vi.resetModules();
+  const { dispatcher, ...env } = await createSandbox(options);
+  return {
+    ...env,
+    createRegistry: dispatcher.createRegistry,
+    findHandler: dispatcher.findHandler,
+    matchURL: dispatcher.matchURL,
+    withSite: dispatcher.withSite,
+  };
+}
+
+/**
+ * Run a site handler against a page and record what it resolved to
+ * @param {Object} options
+ * @param {string} options.file - Path of the site file under src/sites
+ * @param {string} options.url - URL of the page
+ * @param {string} [options.html] - Content of the page
+ * @param {Object} [options.values] - Initial GM storage
+ * @param {Object} [options.ajax] - Fake responses, see createGM()
+ * @param {Object[]} [options.changes] - What the page scripts would do,
+ *   `{ after, selector, attributes }` sets the attributes of the matching
+ *   elements `after` ms into the run, a null value removes one
+ * @param {number} [options.timeout] - Virtual time budget in milliseconds
+ * @param {number} [options.step] - Virtual time advanced per tick
+ * @returns {Promise<Object>} `{ handler, openLink, openImage, openGallery,
+ *   clicks, elapsed, gm }`, `elapsed` is the virtual time until the
+ *   handler resolved or returned
+ */
+export async function runHandler({
+  file,
+  url,
+  html,
+  values,
+  ajax,
+  changes = [],
+  timeout = 60000,
+  step = 100,
+}) {
+  vi.useFakeTimers();
+  let env = null;
+
+  const openLink = vi.fn();
+  const openImage = vi.fn();
+  const openGallery = vi.fn();
+  // also catches the calls the dispatcher makes for declarative handlers
+  vi.doMock("util/link.js", async (importOriginal) => ({
+    ...(await importOriginal()),
+    openLink,
+  }));
+  vi.doMock("util/image.js", async (importOriginal) => ({
+    ...(await importOriginal()),
+    openImage,
+    openGallery,
+  }));
+
+  try {
+    env = await createEnvironment({ url, html, values, ajax });
+    const { $ } = env;
+
+    const result = {
+      handler: null,
+      openLink,
+      openImage,
+      openGallery,
+      clicks: [],
+      elapsed: null,
+      gm: env.gm,
+    };
+    $.removeAllTimer = () => vi.clearAllTimers();
+    env.dom.window.document.addEventListener(
+      "click",
+      (event) => {
+        event.preventDefault();
+        result.clicks.push(event.target);
+      },
+      true,
+    );
+
+    await loadSite(file, env);
+
+    const handler = env.findHandler();
+    result.handler = handler;
+    if (!handler) {
+      return result;
+    }
+
+    const { document } = env.dom.window;
+    for (const { after = 0, selector, attributes } of changes) {
+      setTimeout(() => {
+        for (const element of document.querySelectorAll(selector)) {
+          for (const [name, value] of Object.entries(attributes)) {
+            if (value === null) {
+              element.removeAttribute(name);
+            } else {
+              element.setAttribute(name, value);
+            }
+          }
+        }
+      }, after);
+    }
+
+    let error = null;
+    let settled = false;
+    (async () => {
+      await handler.start();
+      await handler.ready();
+    })()
+      .catch((e) => {
+        error = e;
+      })
+      .finally(() => {
+        settled = true;
+      });
+
+    const resolved = () =>
+      result.openLink.mock.calls.length > 0 ||
+      result.openImage.mock.calls.length > 0 ||
+      result.openGallery.mock.calls.length > 0;
+    for (let elapsed = 0; elapsed <= timeout; elapsed += step) {
+      await vi.advanceTimersByTimeAsync(0);
+      if (result.elapsed === null && (resolved() || settled)) {
+        result.elapsed = elapsed;
+      }
+      if (resolved() || (settled && vi.getTimerCount() === 0)) {
+        break;
+      }
+      await vi.advanceTimersByTimeAsync(step);
+    }
+
+    if (error) {
+      throw error;
+    }
+    return result;
+  } finally {
+    vi.clearAllTimers();
+    vi.useRealTimers();
+    vi.doUnmock("util/link.js");
+    vi.doUnmock("util/image.js");
+    if (env) {
+      env.close();
+    }
+  }
+}
+
+/**
+ * Find every `*.fixtures.json` shipped beside a site file
+ * @returns {Promise<Object[]>} `{ file, cases }` with fixture HTML loaded
+ */
+export async function loadFixtures(dir = SITES_DIR) {
+  const found = [];
+  const entries = await fs.readdir(dir, { withFileTypes: true });
+
+  for (const entry of entries) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      found.push(...(await loadFixtures(fullPath)));
+      continue;
+    }
+    if (!entry.name.endsWith(".fixtures.json")) {
+      continue;
+    }
+
+    const file = fullPath.replace(/\.fixtures\.json$/, ".js");
+    const cases = JSON.parse(await fs.readFile(fullPath, "utf-8"));
+    for (const c of cases) {
+      if (c.html) {
+        c.html = await fs.readFile(path.join(dir, c.html), "utf-8");
+      }
+    }
+    found.push({ file, cases });
+  }
+
+  return found;
+}
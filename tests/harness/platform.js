@@ -0,0 +1,43 @@
+/**
+ * Stand-in for util/platform.js in unit tests, backed by the fake GM API of
+ * the sandbox
+ *
+ *     vi.mock("util/platform.js", () => import("./harness/platform.js"));
+ *     const { GMAPI, storage } = await import("util/platform.js");
+ *
+ * Every test file gets its own module registry, so its own storage.
+ */
+import { vi } from "vitest";
+
+import { createGM } from "../../build/sandbox.js";
+
+const gm = createGM();
+
+// GM storage, clear it between tests with resetPlatform()
+export const { storage } = gm;
+
+// the methods are mocks, so tests can check the calls or replace them
+export const GMAPI = {
+  getValue: vi.fn(async (key) => gm.GM_getValue(key)),
+  setValue: vi.fn(async (key, value) => gm.GM_setValue(key, value)),
+  deleteValue: vi.fn(async (key) => gm.GM_deleteValue(key)),
+  openInTab: vi.fn(gm.GM_openInTab),
+  registerMenuCommand: vi.fn(gm.GM_registerMenuCommand),
+  setClipboard: vi.fn(async (text) => gm.GM_setClipboard(text)),
+  getResourceUrl: vi.fn(async (name) => gm.GM_getResourceURL(name)),
+  xmlHttpRequest: vi.fn(gm.GM_xmlhttpRequest),
+  download: null,
+};
+
+export const usw = globalThis.window;
+export const rawUSW = globalThis.window;
+
+/**
+ * Empty the storage and forget the calls made so far
+ */
+export function resetPlatform() {
+  storage.clear();
+  for (const fn of Object.values(GMAPI)) {
+    fn?.mockClear?.();
+  }
+}
@@ -0,0 +1,122 @@
+/**
+ * Check the rules of every site: their `@example-url` against all registered
+ * rules, and the schema of declarative handlers
+ */
+import fs from "fs/promises";
+
+import { extractExampleURLsFromContent } from "../../build/domain.js";
+import { listSiteFiles, loadSite } from "../../build/sandbox.js";
+import { createEnvironment } from "./index.js";
+
+/**
+ * Collect every site claiming a URL, in dispatch order
+ * @param {Object} registry - Registry holding all sites
+ * @param {string} url - URL to match
+ * @returns {string[]} Ids of the matching sites
+ */
+function findClaimers(registry, url) {
+  const claimers = [];
+  while (true) {
+    const rest = registry.patterns.filter((p) => !claimers.includes(p.id));
+    const result = registry.matchURL(url, rest);
+    if (!result || !result.handler.id) {
+      return claimers;
+    }
+    claimers.push(result.handler.id);
+  }
+}
+
+// the match pattern strings in a rule, which may nest them in arrays
+function collectStrings(rule) {
+  if (typeof rule === "string") {
+    return [rule];
+  }
+  if (Array.isArray(rule)) {
+    return rule.flatMap(collectStrings);
+  }
+  return [];
+}
+
+/**
+ * Load all sites and check their rules
+ * @returns {Promise<Object>} `{ examples, unmatched, shadowed, overlapped }`,
+ *   each entry is `{ id, url, claimers }`, `invalid` declarative handlers,
+ *   `harden` specs or `fullsize` rules as `{ id, error }`, and the ids of
+ *   the sites `missing` an `@example-url`, whose rules go unchecked, and
+ *   the match pattern `strings` of all rules as `{ id, rule }`
+ */
+export async function checkRules() {
+  const env = await createEnvironment({ url: "https://adsbypasser.invalid/" });
+
+  try {
+    const registry = env.createRegistry();
+    const namespace = {
+      _: { ...env._, register: registry.register },
+      $: env.$,
+      withSite: registry.withSite,
+    };
+
+    const examples = [];
+    const missing = [];
+    for (const file of await listSiteFiles()) {
+      const site = await loadSite(file, namespace);
+      const content = await fs.readFile(file, "utf-8");
+      const urls = extractExampleURLsFromContent(content);
+      if (urls.length === 0) {
+        missing.push(site.id);
+      }
+      for (const url of urls) {
+        examples.push({ id: site.id, url });
+      }
+    }
+
+    const report = {
+      examples,
+      unmatched: [],
+      shadowed: [],
+      overlapped: [],
+      invalid: [],
+      missing,
+      strings: [],
+    };
+    for (const example of examples) {
+      const claimers = findClaimers(registry, example.url);
+      const entry = { ...example, claimers };
+      if (!claimers.includes(example.id)) {
+        report.unmatched.push(entry);
+      } else if (claimers[0] !== example.id) {
+        report.shadowed.push(entry);
+      }
+      if (claimers.length > 1) {
+        report.overlapped.push(entry);
+      }
+    }
+
+    const { isDeclarative, validateDeclarative } = await import(
+      "util/declarative.js"
+    );
+    const { validateHardening } = await import("util/harden.js");
+    const { validateFullSize } = await import("util/dispatcher.js");
+    for (const pattern of registry.patterns) {
+      for (const rule of collectStrings(pattern.rule)) {
+        report.strings.push({ id: pattern.id, rule });
+      }
+      try {
+        if (isDeclarative(pattern)) {
+          validateDeclarative(pattern);
+        }
+        if (pattern.harden !== undefined) {
+          validateHardening(pattern.harden);
+        }
+        if (pattern.fullsize !== undefined) {
+          validateFullSize(pattern.fullsize);
+        }
+      } catch (e) {
+        report.invalid.push({ id: pattern.id, error: e.message });
+      }
+    }
+    return report;
+  } finally {
+    env.close();
+  }
+}
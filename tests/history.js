@@ -0,0 +1,91 @@
+import { describe, it, expect, beforeEach, vi } from "vitest";
+import { SiteChangedError } from "util/core";
+
+vi.mock("util/platform.js", () => import("./harness/platform.js"));
+
+const {
+  clearHistory,
+  loadHistory,
+  recordFailure,
+  recordSuccess,
+  startSession,
+  toCSV,
+} = await import("util/history");
+
+describe("history", () => {
+  beforeEach(async () => {
+    globalThis.window = { location: new URL("https://short.example/abc") };
+    await clearHistory();
+  });
+
+  it("records a successful bypass", async () => {
+    startSession("link/short.example");
+    await recordSuccess("https://target.example/");
+
+    const [entry] = await loadHistory();
+    expect(entry.from).toBe("https://short.example/abc");
+    expect(entry.to).toBe("https://target.example/");
+    expect(entry.handler).toBe("link/short.example");
+    expect(entry.outcome).toBe("success");
+    expect(entry.duration).toBeGreaterThanOrEqual(0);
+  });
+
+  it("records a failure with its reason", async () => {
+    startSession("link/short.example");
+    await recordFailure(new Error("boom"));
+
+    const [entry] = await loadHistory();
+    expect(entry.outcome).toBe("failure");
+    expect(entry.reason).toBe("Error: boom");
+    expect(entry.code).toBe("");
+  });
+
+  it("records the code of AdsBypasser errors", async () => {
+    startSession("link/short.example");
+    await recordFailure(new SiteChangedError());
+
+    const [entry] = await loadHistory();
+    expect(entry.code).toBe("SITE_CHANGED");
+  });
+
+  it("records only the first outcome of a session", async () => {
+    startSession("link/short.example");
+    await recordSuccess("https://target.example/");
+    await recordFailure("late failure");
+    expect(await loadHistory()).toHaveLength(1);
+  });
+
+  it("records nothing without a session", async () => {
+    await recordSuccess("https://target.example/");
+    expect(await loadHistory()).toHaveLength(0);
+  });
+
+  it("keeps a bounded number of entries", async () => {
+    for (let i = 0; i < 205; i++) {
+      startSession(null);
+      await recordSuccess(`https://target.example/${i}`);
+    }
+    const history = await loadHistory();
+    expect(history).toHaveLength(200);
+    expect(history[0].to).toBe("https://target.example/5");
+  });
+
+  it("exports CSV with quoted fields", () => {
+    const csv = toCSV([
+      {
+        time: "t",
+        from: "a",
+        to: 'b"c',
+        handler: null,
+        duration: 1,
+        outcome: "success",
+        code: "",
+        reason: "",
+      },
+    ]);
+    expect(csv.split("\r\n")).toEqual([
+      "time,from,to,handler,duration,outcome,code,reason",
+      '"t","a","b""c","","1","success","",""',
+    ]);
+  });
+});
@@ -0,0 +1,124 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeEach, vi } from "vitest";
+
+const openLink = vi.fn();
+const verifyImage = vi.fn();
+const showNotice = vi.fn();
+
+vi.mock("util/platform.js", () => import("./harness/platform.js"));
+vi.mock("util/link.js", () => ({ openLink }));
+vi.mock("util/probe.js", async (importOriginal) => ({
+  ...(await importOriginal()),
+  verifyImage,
+}));
+vi.mock("util/notice.js", () => ({ showNotice }));
+vi.mock("util/history.js", () => ({ recordFailure: vi.fn() }));
+
+const { resetPlatform, storage } = await import("util/platform.js");
+const { setPageFullSize } = await import("util/dispatcher");
+const { openImage } = await import("util/image");
+const { ImageUnavailableError } = await import("util/probe");
+
+const RULES = [
+  [
+    /^https:\/\/thumbs(\d+)\.host\.example\/(.+)_t\.(\w+)$/,
+    "https://images$1.host.example/$2_o.$3",
+  ],
+  [/\/th\//, "/i/"],
+];
+
+describe("image", () => {
+  beforeEach(() => {
+    resetPlatform();
+    openLink.mockReset();
+    verifyImage.mockReset();
+    showNotice.mockReset();
+    setPageFullSize(RULES);
+  });
+
+  describe("openImage", () => {
+    it("opens the full size image", async () => {
+      storage.set("redirect_image", true);
+      await openImage("https://img1.other.example/th/abc.jpg");
+      expect(openLink).toHaveBeenCalledWith(
+        "https://img1.other.example/i/abc.jpg",
+        { referer: false },
+      );
+    });
+
+    describe("with verify_image", () => {
+      beforeEach(() => {
+        storage.set("redirect_image", true);
+        storage.set("verify_image", true);
+      });
+
+      it("opens images that load", async () => {
+        verifyImage.mockResolvedValue("direct");
+        await openImage("https://cdn.example/abc.jpg", { referer: true });
+        expect(verifyImage).toHaveBeenCalledWith(
+          "https://cdn.example/abc.jpg",
+          {
+            referer: true,
+          },
+        );
+        expect(openLink).toHaveBeenCalledWith("https://cdn.example/abc.jpg", {
+          referer: true,
+        });
+      });
+
+      it("shows hotlink protected images on this page", async () => {
+        verifyImage.mockResolvedValue("page");
+        await openImage("https://cdn.example/abc.jpg");
+        expect(openLink).not.toHaveBeenCalled();
+        expect(document.querySelector("img").src).toBe(
+          "https://cdn.example/abc.jpg",
+        );
+      });
+
+      it("stays with a notice when the image is gone", async () => {
+        verifyImage.mockRejectedValue(
+          new ImageUnavailableError("https://cdn.example/abc.jpg", "removed"),
+        );
+        await openImage("https://cdn.example/abc.jpg");
+        expect(openLink).not.toHaveBeenCalled();
+        expect(showNotice).toHaveBeenCalledWith(
+          "AdsBypasser did not open https://cdn.example/abc.jpg, it is removed",
+          [["Open anyway", expect.any(Function)]],
+        );
+
+        showNotice.mock.calls[0][1][0][1]();
+        expect(openLink).toHaveBeenCalledWith("https://cdn.example/abc.jpg", {
+          referer: false,
+        });
+      });
+
+      it("offers the image the handler found when all are gone", async () => {
+        verifyImage.mockImplementation(async (src) => {
+          throw new ImageUnavailableError(src, "removed");
+        });
+        await openImage("https://img1.other.example/th/abc.jpg");
+        expect(verifyImage).toHaveBeenCalledTimes(2);
+
+        showNotice.mock.calls[0][1][0][1]();
+        expect(openLink).toHaveBeenCalledWith(
+          "https://img1.other.example/th/abc.jpg",
+          { referer: false },
+        );
+      });
+
+      it("falls back from a missing full size image", async () => {
+        verifyImage.mockImplementation(async (src) => {
+          if (src.includes("/i/")) {
+            throw new ImageUnavailableError(src, "removed");
+          }
+          return "direct";
+        });
+        await openImage("https://img1.other.example/th/abc.jpg");
+        expect(openLink).toHaveBeenCalledWith(
+          "https://img1.other.example/th/abc.jpg",
+          { referer: false },
+        );
+      });
+    });
+  });
+});
@@ -0,0 +1,77 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeEach, vi } from "vitest";
+
+vi.mock("util/platform.js", () => import("./harness/platform.js"));
+
+const { resetPlatform, storage } = await import("util/platform.js");
+const { confirmDestination, setHandlerLookup } = await import(
+  "util/interstitial"
+);
+const { runPhase } = await import("util/supervisor");
+
+function getPanel() {
+  return document.documentElement.lastElementChild.shadowRoot;
+}
+
+// the panel shows up after the config is read
+async function open(url) {
+  const result = confirmDestination(url);
+  await vi.waitFor(() => expect(getPanel()).toBeTruthy());
+  return { result };
+}
+
+describe("interstitial", () => {
+  beforeEach(() => {
+    resetPlatform();
+    setHandlerLookup(() => null);
+  });
+
+  it("goes on right away without safe mode", async () => {
+    await expect(confirmDestination("https://example.com/")).resolves.toBe(
+      true,
+    );
+    expect(getPanel()).toBeFalsy();
+  });
+
+  it("shows the destination in safe mode", async () => {
+    storage.set("safe_mode", true);
+    setHandlerLookup((url) =>
+      url.startsWith("https://short.example/") ? "link/short.example" : null,
+    );
+    const { result } = await open("https://short.example/abc");
+
+    const root = getPanel();
+    expect(root.querySelector(".url").textContent).toBe(
+      "https://short.example/abc",
+    );
+    expect(root.querySelector(".domain").textContent).toBe("short.example");
+    expect(root.querySelector(".known").textContent).toContain(
+      "link/short.example",
+    );
+
+    root.querySelector('[name="continue"]').click();
+    await expect(result).resolves.toBe(true);
+    expect(getPanel()).toBeFalsy();
+  });
+
+  it("stops when cancelled", async () => {
+    storage.set("safe_mode", true);
+    const { result } = await open("https://example.com/");
+    getPanel().querySelector('[name="cancel"]').click();
+    await expect(result).resolves.toBe(false);
+  });
+
+  it("holds the deadline of the phase while open", async () => {
+    storage.set("safe_mode", true);
+    const phase = runPhase(
+      "ready",
+      () => confirmDestination("https://example.com/"),
+      { timeout: 20 },
+    );
+    await vi.waitFor(() => expect(getPanel()).toBeTruthy());
+    await new Promise((resolve) => setTimeout(resolve, 60));
+
+    getPanel().querySelector('[name="continue"]').click();
+    await expect(phase).resolves.toBe(true);
+  });
+});
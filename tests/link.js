@@ -0,0 +1,92 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeEach, vi } from "vitest";
+
+vi.mock("util/platform.js", () => import("./harness/platform.js"));
+
+const { GMAPI, resetPlatform, storage } = await import("util/platform.js");
+const { openLink, setChainResolver, setResolveOnly } = await import(
+  "util/link"
+);
+const { setPhaseSignal } = await import("util/core");
+const { runPhase } = await import("util/supervisor");
+
+function getNotice() {
+  return document.documentElement.lastElementChild.shadowRoot;
+}
+
+describe("link", () => {
+  beforeEach(() => {
+    resetPlatform();
+    setChainResolver(async (to) => to);
+    vi.spyOn(console, "info").mockImplementation(() => {});
+  });
+
+  describe("resolve only", () => {
+    beforeEach(() => {
+      setResolveOnly(true);
+    });
+
+    it("copies the destination instead of opening it", async () => {
+      const before = window.location.href;
+      await openLink("https://example.com/file");
+      expect(GMAPI.setClipboard).toHaveBeenCalledWith(
+        "https://example.com/file",
+      );
+      expect(window.location.href).toBe(before);
+
+      const a = getNotice().querySelector(".message a");
+      expect(a.href).toBe("https://example.com/file");
+      getNotice().querySelector("button").click();
+      expect(GMAPI.setClipboard).toHaveBeenCalledTimes(2);
+    });
+
+    it("copies the end of the chain", async () => {
+      setChainResolver(async () => "https://final.example/");
+      await openLink("/next");
+      expect(GMAPI.setClipboard).toHaveBeenCalledWith("https://final.example/");
+    });
+
+    it("does nothing once the phase calling it failed", async () => {
+      const phase = runPhase("ready", async () => {
+        throw new Error("nope");
+      });
+      await expect(phase).rejects.toThrow("nope");
+      try {
+        await openLink("https://example.com/file");
+        expect(GMAPI.setClipboard).not.toHaveBeenCalled();
+      } finally {
+        setPhaseSignal(null);
+      }
+    });
+
+    it("copies absolute URLs", async () => {
+      await openLink("/next");
+      expect(GMAPI.setClipboard).toHaveBeenCalledWith(
+        new URL("/next", window.location.href).toString(),
+      );
+    });
+  });
+
+  describe("denied destinations", () => {
+    beforeEach(() => {
+      setResolveOnly(false);
+      storage.set("denied_destinations", ["evil.example"]);
+    });
+
+    it("holds the deadline while asking", async () => {
+      storage.set("denied_action", 1);
+      const phase = runPhase(
+        "ready",
+        () => openLink("https://evil.example/file"),
+        { timeout: 20 },
+      );
+      await vi.waitFor(() =>
+        expect(getNotice().querySelector(".warning")).toBeTruthy(),
+      );
+      await new Promise((resolve) => setTimeout(resolve, 60));
+
+      getNotice().querySelector('[name="cancel"]').click();
+      await expect(phase).resolves.toBe(undefined);
+    });
+  });
+});
@@ -0,0 +1,96 @@
+import { describe, it, expect, afterEach, vi } from "vitest";
+import {
+  debug,
+  error,
+  getLogLevel,
+  getLogLines,
+  info,
+  setLogLevel,
+  trace,
+  warn,
+} from "util/logger";
+
+describe("logger", () => {
+  afterEach(() => {
+    setLogLevel(1);
+    vi.restoreAllMocks();
+  });
+
+  function spyAll() {
+    return {
+      trace: vi.spyOn(console, "trace").mockImplementation(() => {}),
+      debug: vi.spyOn(console, "debug").mockImplementation(() => {}),
+      info: vi.spyOn(console, "info").mockImplementation(() => {}),
+      warn: vi.spyOn(console, "warn").mockImplementation(() => {}),
+      error: vi.spyOn(console, "error").mockImplementation(() => {}),
+    };
+  }
+
+  function logAll() {
+    trace("trace");
+    debug("debug");
+    info("info");
+    warn("warn");
+    error("error");
+  }
+
+  it("defaults to level 1", () => {
+    expect(getLogLevel()).toBe(1);
+  });
+
+  it("ignores invalid levels", () => {
+    setLogLevel(undefined);
+    expect(getLogLevel()).toBe(1);
+    setLogLevel(-1);
+    expect(getLogLevel()).toBe(1);
+  });
+
+  it("prints only errors in quiet mode", () => {
+    const spies = spyAll();
+    setLogLevel(0);
+    logAll();
+    expect(spies.error).toHaveBeenCalledTimes(1);
+    expect(spies.warn).not.toHaveBeenCalled();
+    expect(spies.info).not.toHaveBeenCalled();
+    expect(spies.debug).not.toHaveBeenCalled();
+    expect(spies.trace).not.toHaveBeenCalled();
+  });
+
+  it("hides debug and trace in default mode", () => {
+    const spies = spyAll();
+    setLogLevel(1);
+    logAll();
+    expect(spies.error).toHaveBeenCalledTimes(1);
+    expect(spies.warn).toHaveBeenCalledTimes(1);
+    expect(spies.info).toHaveBeenCalledTimes(1);
+    expect(spies.debug).not.toHaveBeenCalled();
+    expect(spies.trace).not.toHaveBeenCalled();
+  });
+
+  it("prints everything in verbose mode", () => {
+    const spies = spyAll();
+    setLogLevel(2);
+    logAll();
+    for (const spy of Object.values(spies)) {
+      expect(spy).toHaveBeenCalledTimes(1);
+    }
+  });
+
+  it("prefixes messages", () => {
+    const spies = spyAll();
+    info("hello %s", "world");
+    expect(spies.info).toHaveBeenCalledWith("AdsBypasser: hello %s", "world");
+    warn(42);
+    expect(spies.warn).toHaveBeenCalledWith("AdsBypasser:", 42);
+  });
+
+  it("remembers recent messages of every level", () => {
+    spyAll();
+    setLogLevel(0);
+    debug("hidden", { id: 1 });
+    error(new Error("boom"));
+    const lines = getLogLines().slice(-2);
+    expect(lines[0]).toMatch(/ debug hidden \{"id":1\}$/);
+    expect(lines[1]).toMatch(/ error Error: boom$/);
+  });
+});
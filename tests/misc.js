@@ -0,0 +1,27 @@
+import { describe, it, expect, afterEach, vi } from "vitest";
+import { keepTimer, releaseTimer } from "util/core";
+import { removeAllTimer } from "util/misc";
+
+describe("misc", () => {
+  describe("removeAllTimer", () => {
+    afterEach(() => {
+      delete globalThis.window;
+      releaseTimer(2);
+    });
+
+    it("clears the timers of the page but not AdsBypasser's own", () => {
+      globalThis.window = {
+        setInterval: () => 3,
+        setTimeout: () => 3,
+        clearInterval: vi.fn(),
+        clearTimeout: vi.fn(),
+      };
+      keepTimer(2);
+
+      removeAllTimer();
+      const cleared = window.clearInterval.mock.calls.map(([h]) => h);
+      expect(cleared).toEqual([3, 1]);
+      expect(window.clearTimeout.mock.calls.map(([h]) => h)).toEqual([3, 1]);
+    });
+  });
+});
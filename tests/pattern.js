@@ -0,0 +1,34 @@
+import { describe, it, expect } from "vitest";
+import { matchPattern, toPatternURL } from "util/pattern";
+
+function match(pattern, url) {
+  return !!matchPattern(pattern, toPatternURL(url));
+}
+
+describe("pattern", () => {
+  it("matches the scheme", () => {
+    expect(match("https://example.com/*", "https://example.com/a")).toBe(true);
+    expect(match("https://example.com/*", "http://example.com/a")).toBe(false);
+  });
+
+  it("lets a wildcard scheme match http and https", () => {
+    expect(match("*://example.com/*", "http://example.com/a")).toBe(true);
+    expect(match("*://example.com/*", "https://example.com/a")).toBe(true);
+    expect(match("*://example.com/*", "ftp://example.com/a")).toBe(false);
+  });
+
+  it("matches a domain and its subdomains", () => {
+    expect(match("*://*.example.com/*", "https://example.com/")).toBe(true);
+    expect(match("*://*.example.com/*", "https://a.b.example.com/")).toBe(true);
+    expect(match("*://*.example.com/*", "https://badexample.com/")).toBe(false);
+  });
+
+  it("matches the path with query and hash", () => {
+    expect(
+      match("https://example.com/go?id=*", "https://example.com/go?id=1"),
+    ).toBe(true);
+    expect(match("https://example.com/go", "https://example.com/go/1")).toBe(
+      false,
+    );
+  });
+});
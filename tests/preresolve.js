@@ -0,0 +1,150 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeEach, vi } from "vitest";
+
+vi.mock("util/platform.js", () => import("./harness/platform.js"));
+
+const { GMAPI, resetPlatform, storage } = await import("util/platform.js");
+const { register, withSite } = await import("util/dispatcher");
+const { preresolveLinks, scanLinks } = await import("util/preresolve");
+
+withSite({ id: "link/first.example", domains: ["first.example"] }, () => {
+  register({
+    rule: /^https:\/\/first\.example\/go\//,
+    rewrite: { replace: [["first.example/go/", "second.example/go/"]] },
+  });
+});
+withSite({ id: "link/second.example", domains: ["second.example"] }, () => {
+  register({
+    rule: /^https:\/\/second\.example\/go\/(.+)$/,
+    rewrite: { fromQuery: "to", decode: "uri" },
+  });
+});
+withSite({ id: "link/page.example", domains: ["page.example"] }, () => {
+  register({
+    rule: /^https:\/\/page\.example\//,
+    async ready() {},
+  });
+});
+withSite({ id: "image/pics.example", domains: ["pics.example"] }, () => {
+  register({
+    rule: /^https:\/\/pics\.example\//,
+    image: "#img",
+    fullsize: [[/\/th\/(.+)_t\.jpg$/, "/i/$1.jpg"]],
+  });
+});
+register({
+  rule: /^https:\/\/config\.example\//,
+  async ready() {},
+});
+
+function link(href) {
+  const a = document.createElement("a");
+  a.href = href;
+  document.body.appendChild(a);
+  return a;
+}
+
+describe("preresolve", () => {
+  beforeEach(() => {
+    resetPlatform();
+    document.body.innerHTML = "";
+  });
+
+  it("rewrites URL transform links to their destination", async () => {
+    const a = link(
+      "https://first.example/go/x?to=https%3A%2F%2Fdest.example%2Ffile",
+    );
+    await scanLinks();
+    expect(a.href).toBe("https://dest.example/file");
+    expect(a.dataset.adsbypasser).toBe("resolved");
+    expect(a.dataset.adsbypasserOriginal).toBe(
+      "https://first.example/go/x?to=https%3A%2F%2Fdest.example%2Ffile",
+    );
+  });
+
+  it("never rewrites to other than web destinations", async () => {
+    const href = "https://second.example/go/x?to=javascript%3Aalert(1)";
+    const a = link(href);
+    await scanLinks();
+    expect(a.href).toBe(href);
+    expect(a.getAttribute("href")).toBe(href);
+    expect(a.dataset.adsbypasser).toBe("supported");
+  });
+
+  it("marks links that need their page", async () => {
+    const a = link("https://page.example/abc");
+    await scanLinks();
+    expect(a.href).toBe("https://page.example/abc");
+    expect(a.dataset.adsbypasser).toBe("supported");
+    expect(a.title).toContain("link/page.example");
+  });
+
+  it("leaves other links alone", async () => {
+    const other = link("https://other.example/");
+    const config = link("https://config.example/");
+    await scanLinks();
+    expect(other.dataset.adsbypasser).toBe("");
+    expect(other.title).toBe("");
+    expect(config.title).toBe("");
+  });
+
+  it("skips disabled handlers", async () => {
+    const a = link("https://page.example/abc");
+    await scanLinks(document, { disabled: ["link/page.example"] });
+    expect(a.title).toBe("");
+  });
+
+  it("does not rewrite to denied destinations", async () => {
+    storage.set("denied_destinations", ["dest.example"]);
+    const href =
+      "https://second.example/go/x?to=https%3A%2F%2Fdest.example%2Ffile";
+    const a = link(href);
+    await scanLinks();
+    expect(a.href).toBe(href);
+    expect(a.dataset.adsbypasser).toBe("denied");
+  });
+
+  it("reads the destination lists once per scan", async () => {
+    for (let i = 0; i < 3; ++i) {
+      link(`https://second.example/go/${i}?to=https%3A%2F%2Fdest.example%2F`);
+    }
+    await scanLinks();
+    expect(GMAPI.getValue).toHaveBeenCalledTimes(2);
+  });
+
+  it("leaves documents without a body alone", async () => {
+    const body = document.body;
+    body.remove();
+    try {
+      await expect(preresolveLinks()).resolves.toBeUndefined();
+    } finally {
+      document.documentElement.appendChild(body);
+    }
+  });
+
+  function thumbnailLink(href) {
+    const a = link(href);
+    const img = document.createElement("img");
+    img.src = "https://cdn.pics.example/th/abc_t.jpg";
+    a.appendChild(img);
+    return a;
+  }
+
+  it("points thumbnails of image hosts at the full size image", async () => {
+    const a = thumbnailLink("https://pics.example/abc");
+    const plain = link("https://pics.example/def");
+
+    await scanLinks();
+    expect(a.href).toBe("https://cdn.pics.example/i/abc.jpg");
+    expect(a.dataset.adsbypasser).toBe("resolved");
+    expect(plain.dataset.adsbypasser).toBe("supported");
+  });
+
+  it("keeps links of other hosts with image host thumbnails", async () => {
+    const a = thumbnailLink("https://page.example/abc");
+
+    await scanLinks();
+    expect(a.href).toBe("https://page.example/abc");
+    expect(a.dataset.adsbypasser).toBe("supported");
+  });
+});
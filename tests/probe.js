@@ -0,0 +1,112 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+
+const head = vi.fn();
+
+vi.mock("util/ajax.js", () => ({ head }));
+
+const { ImageUnavailableError, verifyImage } = await import("util/probe");
+
+const SRC = "https://cdn.example/abc.jpg";
+
+// decoding gives `size`, or fails when it is null
+function decodeAs(size) {
+  const createElement = document.createElement.bind(document);
+  vi.spyOn(document, "createElement").mockImplementation((tag) => {
+    if (tag !== "img") return createElement(tag);
+    const img = {};
+    Object.defineProperty(img, "src", {
+      set() {
+        setTimeout(() => {
+          if (!size) {
+            img.onerror?.();
+            return;
+          }
+          img.naturalWidth = size[0];
+          img.naturalHeight = size[1];
+          img.onload?.();
+        }, 0);
+      },
+    });
+    return img;
+  });
+}
+
+function respond(status, type = "image/jpeg", finalUrl = SRC) {
+  head.mockResolvedValue({ status, finalUrl, type });
+}
+
+async function reasonOf(promise) {
+  const e = await promise.catch((e) => e);
+  expect(e).toBeInstanceOf(ImageUnavailableError);
+  return e.reason;
+}
+
+describe("verifyImage", () => {
+  beforeEach(() => {
+    head.mockReset();
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it("opens images that load", async () => {
+    respond(200);
+    decodeAs([800, 600]);
+    await expect(verifyImage(SRC)).resolves.toBe("direct");
+  });
+
+  it("sends the referer if opening the image does", async () => {
+    respond(200);
+    decodeAs([800, 600]);
+    await verifyImage(SRC, { referer: true });
+    expect(head).toHaveBeenCalledWith(SRC, { Referer: window.location.href });
+  });
+
+  it("rejects removed images", async () => {
+    respond(404, "text/html");
+    decodeAs(null);
+    expect(await reasonOf(verifyImage(SRC))).toBe("removed");
+  });
+
+  it("rejects redirects to placeholders", async () => {
+    respond(200, "image/png", "https://i.imgur.com/removed.png");
+    decodeAs([161, 81]);
+    expect(await reasonOf(verifyImage(SRC))).toBe("a placeholder");
+  });
+
+  it("rejects placeholders by their size", async () => {
+    respond(200);
+    decodeAs([1, 1]);
+    expect(await reasonOf(verifyImage(SRC))).toBe("a placeholder");
+  });
+
+  it("rejects known placeholder URLs without probing", async () => {
+    expect(await reasonOf(verifyImage("https://cdn.example/hotlink.png"))).toBe(
+      "a placeholder",
+    );
+    expect(head).not.toHaveBeenCalled();
+  });
+
+  it("shows hotlink protected images from this page", async () => {
+    respond(403, "text/html");
+    decodeAs([800, 600]);
+    await expect(verifyImage(SRC)).resolves.toBe("page");
+  });
+
+  it("rejects hotlink protected images this page cannot show", async () => {
+    respond(200, "text/html");
+    decodeAs(null);
+    expect(await reasonOf(verifyImage(SRC))).toBe("hotlink protected");
+  });
+
+  it("trusts images it cannot tell about", async () => {
+    head.mockRejectedValue(new Error("network error"));
+    decodeAs(null);
+    await expect(verifyImage(SRC)).resolves.toBe("direct");
+
+    respond(405, "text/html");
+    await expect(verifyImage(SRC)).resolves.toBe("direct");
+  });
+});
@@ -0,0 +1,60 @@
+import { describe, it, expect, beforeEach, vi } from "vitest";
+import { SiteChangedError } from "util/core";
+
+vi.mock("util/platform.js", () => ({
+  getGMInfo: () => ({
+    script: { version: "8.0.0" },
+    scriptHandler: "Tampermonkey",
+    version: "5.1",
+  }),
+}));
+
+const { warn } = await import("util/logger");
+const { buildReport, getReportURL } = await import("util/report");
+
+describe("report", () => {
+  beforeEach(() => {
+    globalThis.window = { location: new URL("https://short.example/abc") };
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+  });
+
+  it("describes the problem and the environment", () => {
+    warn("something odd");
+    const { title, body } = buildReport({
+      handlerId: "link/short.example",
+      error: new SiteChangedError("pattern changed"),
+    });
+    expect(title).toBe("[Bug] short.example");
+    expect(body).toContain("pattern changed");
+    expect(body).toContain("https://short.example/abc");
+    expect(body).toContain("Handler: `link/short.example`");
+    expect(body).toContain("Error code: `SITE_CHANGED`");
+    expect(body).toContain("AdsBypasser: 8.0.0");
+    expect(body).toContain("Userscript manager: Tampermonkey 5.1");
+    expect(body).toMatch(/warn something odd/);
+  });
+
+  it("works without an error", () => {
+    const { body } = buildReport();
+    expect(body).toContain("Handler: `none`");
+    expect(body).toContain("Error code: `NONE`");
+  });
+
+  it("drops old log lines to keep the URL short", () => {
+    for (let i = 0; i < 100; ++i) {
+      warn("x".repeat(250));
+    }
+    const { body } = buildReport();
+    expect(body.length).toBeLessThanOrEqual(6000);
+    expect(body).toMatch(/```$/);
+  });
+
+  it("links to the bug report form", () => {
+    const url = new URL(getReportURL({ handlerId: "link/short.example" }));
+    expect(url.origin + url.pathname).toBe(
+      "https://github.com/adsbypasser/adsbypasser/issues/new",
+    );
+    expect(url.searchParams.get("template")).toBe("bug-report.md");
+    expect(url.searchParams.get("title")).toBe("[Bug] short.example");
+  });
+});
@@ -0,0 +1,95 @@
+import { describe, it, expect } from "vitest";
+
+import { matchPattern, toPatternURL } from "util/pattern";
+
+import { checkRules } from "./harness/rules.js";
+
+const report = await checkRules();
+
+// sites without an `@example-url`, whose rules nothing above checks; lower
+// this as examples are added, it must never go up
+const MISSING_EXAMPLES = 110;
+
+// how string rules matched before util/pattern.js, which added `*` schemes
+// and stopped `*.example.com` from matching `badexample.com`
+function matchLegacy(rule, urlObj) {
+  const matched = rule.match(
+    /^(\*|https?|file|ftp|chrome-extension):\/\/(\*|(\*\.)?([^/*]+))?(\/.*)$/,
+  );
+  if (!matched) return null;
+  const [, scheme, host, wc, sd, path] = matched;
+  if (
+    (scheme === "*" && !/https?/.test(urlObj.scheme)) ||
+    scheme !== urlObj.scheme
+  )
+    return null;
+  if (scheme !== "file" && host !== "*") {
+    if (wc) {
+      const idx = urlObj.host.indexOf(sd);
+      if (idx < 0 || idx + sd.length !== urlObj.host.length) return null;
+    } else if (host !== urlObj.host) return null;
+  }
+  const pathRegex = new RegExp(
+    `^${path.replace(/[*.[\]?+#]/g, (c) => (c === "*" ? ".*" : "\\" + c))}$`,
+  );
+  return pathRegex.test(urlObj.path) ? urlObj : null;
+}
+
+// URLs on both sides of what a string rule covers
+function probeURLs(rule) {
+  const [, scheme, host, path] = rule.match(/^([^:]+):\/\/([^/]*)(\/.*)$/);
+  const schemes = scheme === "*" ? ["http", "https", "ftp"] : [scheme];
+  schemes.push(scheme === "https" ? "http" : "https");
+  const domain = host.replace(/^\*\.?/, "") || "example.com";
+  const hosts = [domain, `www.${domain}`, `bad${domain}`];
+  const paths = [path.replace(/\*/g, ""), path.replace(/\*/g, "a/b?c=d")];
+  return schemes.flatMap((s) =>
+    hosts.flatMap((h) => paths.map((p) => `${s}://${h}${p}`)),
+  );
+}
+
+describe("rules", () => {
+  it("has example URLs to check", () => {
+    expect(report.examples.length).toBeGreaterThan(0);
+  });
+
+  it("does not lose example URL coverage", () => {
+    const message = `sites without @example-url: ${report.missing.join(", ")}`;
+    expect(report.missing.length, message).toBeLessThanOrEqual(
+      MISSING_EXAMPLES,
+    );
+  });
+
+  it("matches every example URL to its own site", () => {
+    expect(report.unmatched).toEqual([]);
+  });
+
+  it("does not shadow any example URL by an earlier site", () => {
+    expect(report.shadowed).toEqual([]);
+  });
+
+  it("does not let several sites claim the same example URL", () => {
+    expect(report.overlapped).toEqual([]);
+  });
+
+  it("matches the string rules of the sites as before", () => {
+    expect(report.strings.length).toBeGreaterThan(0);
+    // the probes tell the two apart
+    const lookalike = toPatternURL("https://badexample.com/");
+    expect(matchLegacy("https://*.example.com/*", lookalike)).toBeTruthy();
+    expect(matchPattern("https://*.example.com/*", lookalike)).toBeNull();
+    const changed = report.strings.flatMap(({ id, rule }) =>
+      probeURLs(rule)
+        .filter((url) => {
+          const urlObj = toPatternURL(url);
+          return !!matchPattern(rule, urlObj) !== !!matchLegacy(rule, urlObj);
+        })
+        .map((url) => ({ id, rule, url })),
+    );
+    expect(changed).toEqual([]);
+  });
+
+  it("has valid declarative handlers, hardening and full size rules", () => {
+    expect(report.invalid).toEqual([]);
+  });
+});
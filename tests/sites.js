@@ -0,0 +1,45 @@
+import path from "path";
+import { describe, it, expect } from "vitest";
+
+import { SITES_DIR } from "../build/sandbox.js";
+import { loadFixtures, runHandler } from "./harness/index.js";
+
+const fixtures = await loadFixtures();
+
+describe("sites", () => {
+  for (const { file, cases } of fixtures) {
+    describe(path.relative(SITES_DIR, file), () => {
+      for (const c of cases) {
+        it(c.name, async () => {
+          const result = await runHandler({ file, ...c });
+          expect(result.handler).not.toBe(null);
+
+          if (c.expect.openLink) {
+            expect(result.openLink).toHaveBeenCalled();
+            expect(result.openLink.mock.calls[0][0]).toBe(c.expect.openLink);
+          }
+          if (c.expect.openImage) {
+            expect(result.openImage).toHaveBeenCalled();
+            expect(result.openImage.mock.calls[0][0]).toBe(c.expect.openImage);
+          }
+          if (c.expect.openGallery) {
+            expect(result.openGallery).toHaveBeenCalled();
+            const [items] = result.openGallery.mock.calls[0];
+            expect(items.map((item) => item.page)).toEqual(
+              c.expect.openGallery,
+            );
+          }
+          if (c.expect.click) {
+            const clicked = result.clicks.some((el) =>
+              el.matches(c.expect.click),
+            );
+            expect(clicked).toBe(true);
+          }
+          if (c.expect.within !== undefined) {
+            expect(result.elapsed).toBeLessThan(c.expect.within);
+          }
+        });
+      }
+    });
+  }
+});
@@ -0,0 +1,81 @@
+// @vitest-environment jsdom
+import { describe, it, expect, afterEach, vi } from "vitest";
+import {
+  CancelledError,
+  countdown,
+  hideStatus,
+  isCancelled,
+  showStatus,
+} from "util/status";
+
+function getWidget() {
+  const host = document.documentElement.lastElementChild;
+  return host.shadowRoot;
+}
+
+function press(root, label) {
+  const button = Array.from(root.querySelectorAll("button")).find(
+    (b) => b.textContent === label,
+  );
+  button.click();
+}
+
+describe("status", () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  describe("countdown", () => {
+    it("resolves when the time is up", async () => {
+      vi.useFakeTimers();
+      let done = false;
+      const promise = countdown(1000).then(() => {
+        done = true;
+      });
+      await vi.advanceTimersByTimeAsync(999);
+      expect(done).toBe(false);
+      await vi.advanceTimersByTimeAsync(1);
+      await promise;
+      expect(done).toBe(true);
+    });
+
+    it("ends with the reason of the signal", async () => {
+      vi.useFakeTimers();
+      const controller = new AbortController();
+      const promise = countdown(1000, { signal: controller.signal });
+      const assertion = expect(promise).rejects.toThrow();
+      controller.abort();
+      await assertion;
+      expect(vi.getTimerCount()).toBe(0);
+    });
+  });
+
+  describe("widget", () => {
+    afterEach(() => {
+      hideStatus();
+    });
+
+    it("shows the time left", async () => {
+      showStatus("link/short.example");
+      const promise = countdown(5000, { label: "waiting for #go" });
+      const message = getWidget().querySelector(".message");
+      expect(message.textContent).toBe(
+        "AdsBypasser (link/short.example): waiting for #go 5s",
+      );
+      press(getWidget(), "Skip");
+      await promise;
+      expect(message.textContent).toBe(
+        "AdsBypasser (link/short.example): working",
+      );
+    });
+
+    it("cancels the countdowns", async () => {
+      showStatus("link/short.example");
+      const promise = countdown(5000);
+      press(getWidget(), "Cancel");
+      await expect(promise).rejects.toThrow(CancelledError);
+      expect(isCancelled()).toBe(true);
+      await expect(countdown(10)).rejects.toThrow(CancelledError);
+    });
+  });
+});
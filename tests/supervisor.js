@@ -0,0 +1,160 @@
+import { describe, it, expect, afterEach, vi } from "vitest";
+import { AjaxError } from "util/ajax";
+import {
+  AdsBypasserError,
+  TimeoutError,
+  setPhaseSignal,
+  wait,
+  waitUntil,
+} from "util/core";
+import { DomNotFoundError } from "util/dom";
+import { countdown } from "util/status";
+import {
+  PhaseError,
+  holdDeadline,
+  isTransient,
+  runPhase,
+} from "util/supervisor";
+
+describe("supervisor", () => {
+  afterEach(() => {
+    vi.useRealTimers();
+    setPhaseSignal(null);
+  });
+
+  describe("isTransient", () => {
+    it("retries missing elements and server errors", () => {
+      expect(isTransient(new DomNotFoundError("#go"))).toBe(true);
+      expect(isTransient(new AjaxError("GET", "/", "", {}, 0, ""))).toBe(true);
+      expect(isTransient(new AjaxError("GET", "/", "", {}, 502, ""))).toBe(
+        true,
+      );
+    });
+
+    it("does not retry anything else", () => {
+      expect(isTransient(new AjaxError("GET", "/", "", {}, 404, ""))).toBe(
+        false,
+      );
+      expect(isTransient(new AdsBypasserError("nope"))).toBe(false);
+      expect(isTransient(new TimeoutError(1000))).toBe(false);
+    });
+  });
+
+  describe("runPhase", () => {
+    it("returns what the phase returns", async () => {
+      await expect(runPhase("start", () => 42)).resolves.toBe(42);
+    });
+
+    it("retries transient failures", async () => {
+      const fn = vi
+        .fn()
+        .mockRejectedValueOnce(new DomNotFoundError("#go"))
+        .mockResolvedValueOnce("done");
+      await expect(runPhase("ready", fn, { retryDelay: 0 })).resolves.toBe(
+        "done",
+      );
+      expect(fn).toHaveBeenCalledTimes(2);
+    });
+
+    it("gives up after the retries", async () => {
+      const fn = vi.fn().mockRejectedValue(new DomNotFoundError("#go"));
+      const promise = runPhase("ready", fn, { retries: 2, retryDelay: 0 });
+      await expect(promise).rejects.toThrow(PhaseError);
+      expect(fn).toHaveBeenCalledTimes(3);
+    });
+
+    it("does not retry other failures", async () => {
+      const fn = vi.fn().mockRejectedValue(new AdsBypasserError("nope"));
+      const promise = runPhase("start", fn);
+      await expect(promise).rejects.toThrow("start() failed: nope");
+      expect(fn).toHaveBeenCalledTimes(1);
+    });
+
+    it("stops waiting at the deadline", async () => {
+      vi.useFakeTimers();
+      const promise = runPhase("ready", () => new Promise(() => {}), {
+        timeout: 5000,
+      });
+      const assertion = expect(promise).rejects.toMatchObject({
+        phase: "ready",
+        code: "TIMEOUT",
+        cause: expect.any(TimeoutError),
+      });
+      await vi.advanceTimersByTimeAsync(5000);
+      await assertion;
+    });
+
+    it("stops the waits of a phase that missed its deadline", async () => {
+      vi.useFakeTimers();
+      let signal = null;
+      let countdownError = null;
+      let done = false;
+      const promise = runPhase(
+        "ready",
+        async (phase) => {
+          signal = phase.signal;
+          countdown(60000).catch((e) => (countdownError = e));
+          await wait(60000);
+          done = true;
+        },
+        { timeout: 5000 },
+      );
+      const assertion = expect(promise).rejects.toMatchObject({
+        code: "TIMEOUT",
+      });
+      await vi.advanceTimersByTimeAsync(5000);
+      await assertion;
+
+      expect(signal.aborted).toBe(true);
+      expect(countdownError).toBeInstanceOf(TimeoutError);
+      await vi.advanceTimersByTimeAsync(60000);
+      expect(done).toBe(false);
+    });
+
+    it("stops a failed attempt before retrying", async () => {
+      let polls = 0;
+      let first = null;
+      const fn = vi
+        .fn()
+        .mockImplementationOnce(async () => {
+          first = waitUntil(() => ++polls > 1000, { interval: 1 });
+          first.catch(() => {});
+          throw new DomNotFoundError("#go");
+        })
+        .mockResolvedValueOnce("done");
+
+      await expect(runPhase("ready", fn, { retryDelay: 10 })).resolves.toBe(
+        "done",
+      );
+      await expect(first).rejects.toThrow(DomNotFoundError);
+      const stopped = polls;
+      await new Promise((resolve) => setTimeout(resolve, 20));
+      expect(polls).toBe(stopped);
+    });
+
+    it("does not time out while the deadline is held", async () => {
+      vi.useFakeTimers();
+      let release = null;
+      let settled = false;
+      const promise = runPhase(
+        "ready",
+        () => {
+          release = holdDeadline();
+          return new Promise(() => {});
+        },
+        { timeout: 5000 },
+      );
+      promise.catch(() => {}).finally(() => (settled = true));
+      await vi.advanceTimersByTimeAsync(12000);
+      expect(settled).toBe(false);
+
+      release();
+      release();
+      const assertion = expect(promise).rejects.toMatchObject({
+        code: "TIMEOUT",
+      });
+      await vi.advanceTimersByTimeAsync(5000);
+      await assertion;
+    });
+  });
+});
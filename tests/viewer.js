@@ -0,0 +1,148 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+
+vi.mock("util/platform.js", () => import("./harness/platform.js"));
+
+const { GMAPI, resetPlatform, storage } = await import("util/platform.js");
+const { createViewer, showViewer } = await import("util/viewer");
+
+function setSize(element, props) {
+  for (const [key, value] of Object.entries(props)) {
+    Object.defineProperty(element, key, { configurable: true, value });
+  }
+}
+
+function createImage(width, height) {
+  const wrapper = document.createElement("div");
+  const img = document.createElement("img");
+  setSize(img, { naturalWidth: width, naturalHeight: height });
+  wrapper.appendChild(img);
+  document.body.appendChild(wrapper);
+  return { wrapper, img };
+}
+
+function press(key) {
+  document.dispatchEvent(new window.KeyboardEvent("keydown", { key }));
+}
+
+describe("viewer", () => {
+  beforeEach(() => {
+    resetPlatform();
+    setSize(document.documentElement, { clientWidth: 800, clientHeight: 600 });
+  });
+
+  afterEach(() => {
+    document.body.innerHTML = "";
+  });
+
+  describe("createViewer", () => {
+    it("shrinks large images to the window but not small ones", () => {
+      let { wrapper, img } = createImage(1600, 600);
+      expect(createViewer(wrapper, img).state.scale).toBe(0.5);
+
+      ({ wrapper, img } = createImage(400, 300));
+      expect(createViewer(wrapper, img).state.scale).toBe(1);
+    });
+
+    it("fits the width from the top of tall images", () => {
+      const { wrapper, img } = createImage(400, 2000);
+      const { state } = createViewer(wrapper, img, { mode: "width" });
+      expect(state.scale).toBe(2);
+      expect(state.y).toBe(1700);
+      expect(img.style.transform).toContain("translate(0px, 1700px)");
+    });
+
+    it("fits the height and shows the actual size", () => {
+      const { wrapper, img } = createImage(400, 300);
+      const viewer = createViewer(wrapper, img, { mode: "height" });
+      expect(viewer.state.scale).toBe(2);
+      viewer.setMode("actual");
+      expect(viewer.state).toMatchObject({ scale: 1, x: 0, y: 0 });
+    });
+
+    it("zooms at the cursor", () => {
+      const { wrapper, img } = createImage(400, 300);
+      const viewer = createViewer(wrapper, img);
+      // 100px right of the center
+      viewer.zoom(2, 500, 300);
+      expect(viewer.state).toMatchObject({ mode: null, scale: 2, x: -100 });
+    });
+
+    it("fits rotated images by their rotated size", () => {
+      const { wrapper, img } = createImage(1200, 400);
+      const viewer = createViewer(wrapper, img);
+      expect(viewer.state.scale).toBeCloseTo(2 / 3);
+      viewer.rotate(90);
+      expect(viewer.state.rotation).toBe(90);
+      expect(viewer.state.scale).toBe(0.5);
+      viewer.rotate(-180);
+      expect(viewer.state.rotation).toBe(270);
+    });
+  });
+
+  describe("showViewer", () => {
+    it("starts in the remembered mode", async () => {
+      storage.set("image_fit_mode", 3);
+      const { wrapper, img } = createImage(1600, 1200);
+      const viewer = await showViewer(wrapper, img);
+      expect(viewer.state).toMatchObject({ mode: "actual", scale: 1 });
+    });
+
+    it("remembers the mode chosen with the keys or the toolbar", async () => {
+      const { wrapper, img } = createImage(1600, 1200);
+      const viewer = await showViewer(wrapper, img);
+
+      press("w");
+      expect(viewer.state.mode).toBe("width");
+      expect(storage.get("image_fit_mode")).toBe(1);
+
+      wrapper.querySelector('button[name="height"]').click();
+      expect(viewer.state.mode).toBe("height");
+      expect(storage.get("image_fit_mode")).toBe(2);
+    });
+
+    it("keeps switching modes when they cannot be stored", async () => {
+      const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+      GMAPI.setValue.mockRejectedValueOnce(new Error("quota"));
+      const { wrapper, img } = createImage(1600, 1200);
+      const viewer = await showViewer(wrapper, img);
+
+      press("w");
+      expect(viewer.state.mode).toBe("width");
+      await vi.waitFor(() => expect(warn).toHaveBeenCalled());
+      warn.mockRestore();
+    });
+
+    it("zooms, pans and rotates with the keys", async () => {
+      const { wrapper, img } = createImage(400, 300);
+      const viewer = await showViewer(wrapper, img);
+
+      press("+");
+      expect(viewer.state.scale).toBeCloseTo(1.1);
+      press("ArrowLeft");
+      expect(viewer.state.x).toBe(50);
+      press("r");
+      expect(viewer.state.rotation).toBe(90);
+      expect(storage.has("image_fit_mode")).toBe(false);
+    });
+
+    it("pans by dragging", async () => {
+      const { wrapper, img } = createImage(400, 300);
+      const viewer = await showViewer(wrapper, img);
+
+      const mouse = (target, type, x, y) =>
+        target.dispatchEvent(
+          new window.MouseEvent(type, {
+            bubbles: true,
+            clientX: x,
+            clientY: y,
+          }),
+        );
+      mouse(img, "mousedown", 100, 100);
+      mouse(window, "mousemove", 130, 80);
+      mouse(window, "mouseup", 130, 80);
+      mouse(window, "mousemove", 200, 200);
+      expect(viewer.state).toMatchObject({ x: 30, y: -20 });
+    });
+  });
+});
@@ -0,0 +1,39 @@
+import { describe, it, expect } from "vitest";
+import { crc32, createZip } from "util/zip";
+
+describe("zip", () => {
+  it("computes the CRC-32 of the content", () => {
+    const bytes = new TextEncoder().encode("123456789");
+    expect(crc32(bytes)).toBe(0xcbf43926);
+  });
+
+  it("stores the files with a central directory", async () => {
+    const data = new TextEncoder().encode("hello");
+    const blob = createZip(
+      [
+        { name: "01 a.jpg", data },
+        { name: "02 b.jpg", data },
+      ],
+      new Date(2024, 0, 2, 3, 4, 6),
+    );
+    expect(blob.type).toBe("application/zip");
+
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    const view = new DataView(bytes.buffer);
+    // two local entries of 30 + 8 + 5 bytes, two central ones of 46 + 8
+    expect(bytes.length).toBe(2 * 43 + 2 * 54 + 22);
+    expect(view.getUint32(0, true)).toBe(0x04034b50);
+    expect(view.getUint32(14, true)).toBe(crc32(data));
+    expect(String.fromCharCode(...bytes.slice(30, 38))).toBe("01 a.jpg");
+    expect(String.fromCharCode(...bytes.slice(38, 43))).toBe("hello");
+    expect(view.getUint32(86, true)).toBe(0x02014b50);
+    // offset of the second local entry
+    expect(view.getUint32(86 + 54 + 42, true)).toBe(43);
+
+    const end = bytes.length - 22;
+    expect(view.getUint32(end, true)).toBe(0x06054b50);
+    expect(view.getUint16(end + 10, true)).toBe(2);
+    expect(view.getUint32(end + 12, true)).toBe(108);
+    expect(view.getUint32(end + 16, true)).toBe(86);
+  });
+});
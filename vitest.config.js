@@ -6,6 +6,7 @@ export default defineConfig({
     globals: true,
     environment: "node",
     include: ["tests/**/*.js"],
+    exclude: ["tests/harness/**"],
   },
   resolve: {
     alias: {